@@ -0,0 +1,240 @@
+import { createPublicKey, verify, timingSafeEqual, constants } from 'crypto';
+import { matchAny, parseList } from './glob.js';
+
+/**
+ * Authentication and per-user access for the web server.
+ *
+ * Three ways to sign in, any of which may be enabled through env vars:
+ *
+ *   AUTH_TOKEN=<secret>                 a shared bearer token; its user is called "token"
+ *   BASIC_AUTH_USERS=alice:pw,bob:pw    HTTP basic auth
+ *   OIDC_ISSUER=https://issuer          bearer JWTs signed by the issuer's keys
+ *
+ * JWTs are verified against the keys the issuer publishes (found through its
+ * /.well-known/openid-configuration, or OIDC_JWKS_URL), so a local stand-in
+ * issuer works the same as a real one. OIDC_AUDIENCE is checked against
+ * `aud` when set; the user is the OIDC_USER_CLAIM claim (default: email,
+ * falling back to sub) and their groups the OIDC_GROUPS_CLAIM claim (default:
+ * groups).
+ *
+ * With none of them set, the server is open, as before.
+ */
+
+/**
+ * Auth settings from env vars. Throws on malformed settings so a typo does
+ * not leave the server open.
+ */
+export function authFromEnv(env = process.env) {
+    const basicUsers = new Map();
+    for (const entry of parseList(env.BASIC_AUTH_USERS)) {
+        const colon = entry.indexOf(':');
+        if (colon < 1 || colon === entry.length - 1) throw new Error(`BASIC_AUTH_USERS expects user:password entries, got "${entry}"`);
+        basicUsers.set(entry.slice(0, colon), entry.slice(colon + 1));
+    }
+    const oidc = env.OIDC_ISSUER
+        ? {
+            issuer: env.OIDC_ISSUER,
+            audience: env.OIDC_AUDIENCE || null,
+            jwksUrl: env.OIDC_JWKS_URL || null,
+            userClaim: env.OIDC_USER_CLAIM || null,
+            groupsClaim: env.OIDC_GROUPS_CLAIM || 'groups',
+        }
+        : null;
+    if (env.OIDC_JWKS_URL && !oidc) throw new Error('OIDC_JWKS_URL is set without OIDC_ISSUER');
+    const token = env.AUTH_TOKEN || null;
+    return { token, basicUsers, oidc, enabled: !!(token || basicUsers.size || oidc) };
+}
+
+/**
+ * Authenticate a request. Returns `{ identity: { name, groups, method } }`
+ * or `{ error }` with the reason the credentials were rejected. Without
+ * auth configured every request is the anonymous identity (name null).
+ */
+export async function authenticate(req, auth) {
+    if (!auth.enabled) return { identity: { name: null, groups: [], method: 'none' } };
+
+    const header = req.headers.authorization || '';
+    const [scheme, credentials = ''] = header.split(/\s+/, 2);
+
+    if (/^basic$/i.test(scheme) && auth.basicUsers.size) {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf-8');
+        const colon = decoded.indexOf(':');
+        const name = decoded.slice(0, colon);
+        const expected = colon > 0 && auth.basicUsers.get(name);
+        if (expected && safeEqual(decoded.slice(colon + 1), expected)) return { identity: { name, groups: [], method: 'basic' } };
+        return { error: 'Wrong user name or password' };
+    }
+
+    if (/^bearer$/i.test(scheme) && credentials) {
+        if (auth.token && safeEqual(credentials, auth.token)) return { identity: { name: 'token', groups: [], method: 'token' } };
+        if (auth.oidc && credentials.split('.').length === 3) {
+            try {
+                const claims = await verifyJwt(credentials, auth.oidc);
+                const name = claims[auth.oidc.userClaim || 'email'] || (!auth.oidc.userClaim && claims.sub);
+                if (!name) return { error: `Token has no ${auth.oidc.userClaim || 'email or sub'} claim` };
+                const groups = [].concat(claims[auth.oidc.groupsClaim] || []).map(String);
+                return { identity: { name: String(name), groups, method: 'oidc' } };
+            } catch (err) {
+                return { error: err.message };
+            }
+        }
+        return { error: 'Invalid token' };
+    }
+
+    return { error: 'No credentials given' };
+}
+
+/**
+ * The WWW-Authenticate challenges for a 401 response. Offering Basic makes
+ * browsers show their login dialog.
+ */
+export function authChallenges(auth) {
+    const challenges = [];
+    if (auth.basicUsers.size) challenges.push('Basic realm="schema-compare", charset="UTF-8"');
+    if (auth.token || auth.oidc) challenges.push('Bearer realm="schema-compare"');
+    return challenges.join(', ');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a)), bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// ---------- JWT verification ----------
+// Clock skew allowed for exp / nbf, in seconds
+const CLOCK_SKEW = 60;
+// How long fetched signing keys are reused before asking the issuer again
+const JWKS_TTL_MS = 10 * 60 * 1000;
+
+// Signature algorithms accepted, with the key type (and curve) each needs;
+// "none" and the HMAC ones never are, since the server only holds the
+// issuer's public keys
+const ALGORITHMS = {
+    RS256: { hash: 'sha256', kty: 'RSA' }, RS384: { hash: 'sha384', kty: 'RSA' }, RS512: { hash: 'sha512', kty: 'RSA' },
+    PS256: { hash: 'sha256', kty: 'RSA', pss: 32 }, PS384: { hash: 'sha384', kty: 'RSA', pss: 48 }, PS512: { hash: 'sha512', kty: 'RSA', pss: 64 },
+    ES256: { hash: 'sha256', kty: 'EC', crv: ['P-256'], ecdsa: true },
+    ES384: { hash: 'sha384', kty: 'EC', crv: ['P-384'], ecdsa: true },
+    ES512: { hash: 'sha512', kty: 'EC', crv: ['P-521'], ecdsa: true },
+    EdDSA: { hash: null, kty: 'OKP', crv: ['Ed25519', 'Ed448'] },
+};
+
+async function verifyJwt(token, oidc) {
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    let header, claims;
+    try {
+        header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf-8'));
+        claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf-8'));
+    } catch {
+        throw new Error('Malformed token');
+    }
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) throw new Error(`Token algorithm ${header.alg} is not accepted`);
+
+    const jwk = await signingKey(oidc, header.kid);
+    // The key decides the algorithm: a token may not pick another one for it
+    if ((jwk.alg && jwk.alg !== header.alg) || jwk.kty !== algorithm.kty || (algorithm.crv && !algorithm.crv.includes(jwk.crv))) {
+        throw new Error(`Token algorithm ${header.alg} does not match signing key ${jwk.kid || ''}`.trim());
+    }
+    const key = createPublicKey({ key: jwk, format: 'jwk' });
+    const keyOptions = algorithm.pss
+        ? { key, padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: algorithm.pss }
+        : algorithm.ecdsa ? { key, dsaEncoding: 'ieee-p1363' } : key;
+    const signed = Buffer.from(`${headerPart}.${payloadPart}`);
+    if (!verify(algorithm.hash, signed, keyOptions, Buffer.from(signaturePart, 'base64url'))) {
+        throw new Error('Token signature is invalid');
+    }
+
+    const now = Date.now() / 1000;
+    if (claims.iss !== oidc.issuer) throw new Error(`Token was issued by ${claims.iss}, not ${oidc.issuer}`);
+    if (oidc.audience && ![].concat(claims.aud || []).includes(oidc.audience)) throw new Error(`Token is not meant for ${oidc.audience}`);
+    if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW) throw new Error('Token has expired');
+    if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW) throw new Error('Token is not valid yet');
+    return claims;
+}
+
+const jwksCache = new Map();
+
+// The issuer's signing key with id `kid` (the first one for a token without
+// a kid). An unknown kid refetches the key set, at most every 30 seconds, so
+// rotated keys are picked up before the cache expires.
+async function signingKey(oidc, kid) {
+    const find = keys => keys.find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+    let cached = jwksCache.get(oidc.issuer);
+    if (!cached || Date.now() - cached.fetchedAt > JWKS_TTL_MS) cached = await fetchKeys(oidc);
+    let key = find(cached.keys);
+    if (!key && Date.now() - cached.fetchedAt > 30 * 1000) key = find((await fetchKeys(oidc)).keys);
+    if (!key) throw new Error(kid ? `Token is signed with unknown key ${kid}` : 'Issuer publishes no signing key');
+    return key;
+}
+
+async function fetchKeys(oidc) {
+    let jwksUrl = oidc.jwksUrl;
+    if (!jwksUrl) {
+        const discovery = await fetchJson(`${oidc.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        jwksUrl = discovery.jwks_uri;
+        if (!jwksUrl) throw new Error(`${oidc.issuer} does not publish a jwks_uri`);
+    }
+    const { keys } = await fetchJson(jwksUrl);
+    if (!Array.isArray(keys)) throw new Error(`${jwksUrl} is not a JSON Web Key Set`);
+    const cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(oidc.issuer, cached);
+    return cached;
+}
+
+async function fetchJson(url) {
+    let res;
+    try {
+        res = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    } catch (err) {
+        throw new Error(`Cannot reach ${url}: ${err.message}`);
+    }
+    if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+    return res.json();
+}
+
+// ---------- Access rules ----------
+
+/**
+ * Parse the config file's `access` section: which saved environments each
+ * user may compare, and whether they may enter their own connection strings.
+ *
+ *   "access": {
+ *     "alice@example.com": { "environments": ["*"], "connections": true },
+ *     "group:backend": ["dev", "staging"],
+ *     "*": ["dev"]
+ *   }
+ *
+ * Keys are user names, `group:<name>` or `*` (every signed-in user); values
+ * list environment names or glob patterns, or are `{ environments, connections }`.
+ * A user gets everything their entries allow together. Returns
+ * `[{ subject, environments, connections }]`.
+ */
+export function parseAccessRules(access, source) {
+    if (!access || typeof access !== 'object' || Array.isArray(access)) {
+        throw new Error(`${source}: "access" maps users to environments, e.g. { "alice@example.com": ["dev", "staging"] }`);
+    }
+    return Object.entries(access).map(([subject, value]) => {
+        const rule = Array.isArray(value) ? { environments: value } : value;
+        const environments = rule && rule.environments !== undefined ? rule.environments : [];
+        if (!rule || typeof rule !== 'object' || !Array.isArray(environments) || !environments.every(e => typeof e === 'string')) {
+            throw new Error(`${source}: access for "${subject}" is a list of environments or { "environments": [...], "connections": true }`);
+        }
+        return { subject, environments, connections: rule.connections === true };
+    });
+}
+
+/**
+ * What `identity` may use under `rules`: `{ environment(name), connections }`.
+ * Without rules every signed-in user may use everything.
+ */
+export function permissionsFor(identity, rules) {
+    if (!rules) return { environment: () => true, connections: true };
+    const applies = rules.filter(r => r.subject === '*'
+        || (identity.name !== null && r.subject === identity.name)
+        || (r.subject.startsWith('group:') && identity.groups.includes(r.subject.slice('group:'.length))));
+    const patterns = applies.flatMap(r => r.environments);
+    return {
+        environment: name => matchAny(patterns, name),
+        connections: applies.some(r => r.connections),
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * Drift gating for CI: decide from `computeStats` whether a comparison should
+ * fail, and map outcomes to process exit codes.
+ */
+
+import { CATEGORIES, resolveCategory } from './diff.js';
+import { SEVERITIES, severityRank } from './severity.js';
+
+export const EXIT_CODES = {
+    ok: 0,          // comparison ran, no (gated) drift
+    drift: 1,       // comparison ran and found drift in a gated category
+    connection: 2,  // a database could not be reached or refused the login
+    error: 3,       // anything else: bad arguments, unreadable snapshot, failed migration, ...
+};
+
+/**
+ * Parse `--fail-on` entries into a gate `{ categories, minSeverity }`.
+ * Entries are category names (`columns`, `policies`, ...) and/or a severity
+ * (`breaking`, `risky`, `cosmetic`) meaning "that severity or worse".
+ * Both can be combined: `columns,policies,breaking` fails only on breaking
+ * column or policy drift. Without entries, any drift fails.
+ */
+export function parseFailOn(entries) {
+    const categories = new Set();
+    let minSeverity = 'cosmetic';
+    for (const raw of entries) {
+        const category = resolveCategory(raw);
+        if (category) {
+            categories.add(category);
+        } else if (SEVERITIES.includes(raw.toLowerCase())) {
+            minSeverity = raw.toLowerCase();
+        } else {
+            throw new Error(`Unknown --fail-on value "${raw}". Use a category (${CATEGORIES.join(', ')}) or a severity (${SEVERITIES.join(', ')}).`);
+        }
+    }
+    return { categories: categories.size ? categories : new Set(CATEGORIES), minSeverity };
+}
+
+/**
+ * Decide from `computeStats` whether the gate fails. Counts the entries at or
+ * above the gate's severity per category. Returns `{ failed, failing, ignored }`,
+ * where `failing` lists `{ category, count }` for gated categories with such
+ * drift and `ignored` the remaining categories with any drift.
+ */
+export function evaluateDrift(stats, gate = parseFailOn([])) {
+    const min = severityRank(gate.minSeverity);
+    const failing = [], ignored = [];
+    for (const category of CATEGORIES) {
+        const bySeverity = stats.severityByCategory[category] || {};
+        const total = SEVERITIES.reduce((n, sev) => n + (bySeverity[sev] || 0), 0);
+        const atThreshold = SEVERITIES.filter(sev => severityRank(sev) >= min).reduce((n, sev) => n + (bySeverity[sev] || 0), 0);
+        if (gate.categories.has(category) && atThreshold) failing.push({ category, count: atThreshold });
+        else if (total) ignored.push({ category, count: total });
+    }
+    return { failed: failing.length > 0, failing, ignored };
+}
+
+/**
+ * Whether an error means a database could not be reached or logged into,
+ * as opposed to a problem with the comparison itself.
+ */
+export function isConnectionError(err) {
+    const networkCodes = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH'];
+    if (networkCodes.includes(err.code)) return true;
+    // SQLSTATE class 08 (connection exception), 28 (invalid authorization), 3D000 (unknown database)
+    if (typeof err.code === 'string' && /^(08|28)/.test(err.code)) return true;
+    if (err.code === '3D000') return true;
+    // pg reports dropped connections and SSL refusals without a code
+    return !err.code && /Connection terminated|connection timeout|does not support SSL/i.test(err.message || '');
+}
@@ -0,0 +1,273 @@
+import pg from 'pg';
+import { keys, splitKey } from './diff.js';
+import { findIgnoreRule } from './ignore.js';
+import { isSnapshotSource } from './snapshot.js';
+const { Client } = pg;
+
+/**
+ * Data comparison for tables both databases have (`--data`).
+ *
+ * Per table, each side reports its estimated row count and on-disk size. A
+ * table estimated at up to `maxRows` rows is also scanned once for its exact
+ * row count, a checksum of its key and a fingerprint of a sample of its
+ * rows; a table of up to `rowLimit` rows is read in full and compared row by
+ * row, which is meant for reference and lookup tables. A table without an
+ * estimate (never analyzed, such as a new table or a partitioned parent) may
+ * be any size, so it is only scanned with `scanUnanalyzed`.
+ *
+ * The key is the primary key, or the columns given in `options.keys`
+ * (`{ 'schema.table' | 'table': ['col', ...] }`). Rows are sampled by the
+ * hash of their key (of the whole row without one), so both sides sample
+ * the same rows. Only the columns both sides have are hashed and compared.
+ */
+
+const DEFAULTS = { maxRows: 1_000_000, sampleRate: 100, rowLimit: 1000, scanUnanalyzed: false };
+
+/**
+ * Collect data statistics from both databases and compare them. `diff` is
+ * the schema diff of the two; only its shared base tables are compared.
+ * Returns `{ options, tables: [...], diverged }` where every table entry is
+ *
+ *   { key, keyColumns, rowsA, rowsB, exact, unanalyzed, bytesA, bytesB, diverged, reasons, rows? }
+ *
+ * `exact` is false when the row counts are estimates; `unanalyzed` is true
+ * when a side has no estimate and was not scanned, so its rows are unknown;
+ * `rows` holds the row-by-row comparison `{ onlyInA, onlyInB, changed }` of
+ * small tables.
+ *
+ * Options:
+ *   maxRows    — scan tables estimated at up to this many rows (default 1,000,000)
+ *   sampleRate — fingerprint one in this many rows (default 100)
+ *   rowLimit   — compare tables of up to this many rows row by row (default 1,000)
+ *   scanUnanalyzed — also scan tables without a row estimate (default false)
+ *   quiet      — print no progress lines
+ *   keys       — key columns for tables without a primary key
+ *   ignore     — ignore rules; tables they hide are skipped
+ */
+export async function compareData(sourceA, sourceB, diff, schemaA, schemaB, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    for (const [source, label] of [[sourceA, diff.labelA], [sourceB, diff.labelB]]) {
+        if (isSnapshotSource(source)) throw new Error(`Comparing data needs a live connection, but ${label} is a snapshot`);
+    }
+
+    const plans = dataPlans(diff, schemaA, schemaB, opts);
+    const [dataA, dataB] = await Promise.all([
+        collectData(sourceA, diff.labelA, plans, opts),
+        collectData(sourceB, diff.labelB, plans, opts),
+    ]);
+
+    const tables = plans.map(plan => compareTable(plan, dataA.get(plan.key), dataB.get(plan.key)));
+    return {
+        options: { maxRows: opts.maxRows, sampleRate: opts.sampleRate, rowLimit: opts.rowLimit, scanUnanalyzed: opts.scanUnanalyzed },
+        tables,
+        diverged: tables.filter(t => t.diverged).length,
+    };
+}
+
+// What to read for each shared base table: the columns both sides have
+// (sorted, so rows hash the same regardless of column order) and the key
+function dataPlans(diff, schemaA, schemaB, opts) {
+    const baseTables = schema => new Set(schema.tables.filter(t => t.table_type === 'BASE TABLE').map(keys.table));
+    const tablesA = baseTables(schemaA), tablesB = baseTables(schemaB);
+    const columnsOf = (schema, table) => schema.columns.filter(c => keys.column(c) === table).map(c => c.column_name);
+
+    return diff.tables.common
+        .filter(key => tablesA.has(key) && tablesB.has(key) && !findIgnoreRule(opts.ignore || [], 'tables', key))
+        .map(key => {
+            const namesB = new Set(columnsOf(schemaB, key));
+            const [schema, table] = splitKey(key);
+            return {
+                key, schema, table,
+                columns: columnsOf(schemaA, key).filter(name => namesB.has(name)).sort(),
+                keyColumns: (opts.keys || {})[key] || (opts.keys || {})[table] || null,
+            };
+        });
+}
+
+// ---------- Collection ----------
+// Values are hashed and compared as text, whose form for timestamps,
+// intervals and floats follows these settings; both sides use the same ones
+// so databases with different defaults still agree on equal rows
+const TEXT_SETTINGS = `
+    SET TimeZone = 'UTC';
+    SET DateStyle = 'ISO, MDY';
+    SET IntervalStyle = 'postgres';
+    SET extra_float_digits = 1;
+`;
+
+async function collectData(connectionString, label, plans, opts) {
+    const client = new Client({ connectionString, ssl: { rejectUnauthorized: false } });
+    const data = new Map();
+    try {
+        await client.connect();
+        await client.query(TEXT_SETTINGS);
+        const stats = await queryTableStats(client, plans.map(p => p.key));
+        // One table at a time: each scan can be a full pass over the table
+        for (const plan of plans) {
+            const stat = stats.get(plan.key) || { rowEstimate: null, bytes: null, primaryKey: [] };
+            const keyColumns = (plan.keyColumns || stat.primaryKey).filter(c => plan.columns.includes(c));
+            const entry = { ...stat, keyColumns, rowCount: null, keyChecksum: null, sampleChecksum: null, rows: null };
+            const small = stat.rowEstimate === null ? opts.scanUnanalyzed : stat.rowEstimate <= opts.maxRows;
+            if (plan.columns.length && small) {
+                Object.assign(entry, await queryFingerprint(client, plan, keyColumns, opts.sampleRate));
+                if (entry.rowCount <= opts.rowLimit) entry.rows = await queryRows(client, plan, keyColumns);
+            }
+            data.set(plan.key, entry);
+        }
+        if (!opts.quiet) console.log(`  ✓ Collected data statistics from ${label} (${plans.length} tables)`);
+        return data;
+    } finally {
+        await client.end();
+    }
+}
+
+// Estimated rows (null when the table was never analyzed), total size
+// including indexes and TOAST, and primary key columns, per table key
+async function queryTableStats(client, tableKeys) {
+    const { rows } = await client.query(`
+        SELECT n.nspname || '.' || c.relname AS key,
+               c.reltuples::bigint AS row_estimate,
+               pg_total_relation_size(c.oid) AS total_bytes,
+               ARRAY(
+                 SELECT a.attname::text
+                 FROM pg_index i
+                 JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+                 WHERE i.indrelid = c.oid AND i.indisprimary
+                 ORDER BY array_position(i.indkey::int2[], a.attnum)
+               ) AS primary_key
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('r', 'p') AND n.nspname || '.' || c.relname = ANY($1)
+    `, [tableKeys]);
+    return new Map(rows.map(r => [r.key, {
+        rowEstimate: Number(r.row_estimate) >= 0 ? Number(r.row_estimate) : null,
+        bytes: Number(r.total_bytes),
+        primaryKey: r.primary_key,
+    }]));
+}
+
+// Exact row count, an order-independent checksum of the key, and the same
+// over the sampled rows. Checksums are sums of 64-bit hashes, returned as text.
+async function queryFingerprint(client, plan, keyColumns, sampleRate) {
+    const rowHash = `hashtextextended(ROW(${plan.columns.map(quoteIdent).join(', ')})::text, 0)`;
+    const keyHash = keyColumns.length ? `hashtextextended(ROW(${keyColumns.map(quoteIdent).join(', ')})::text, 0)` : null;
+    const { rows: [row] } = await client.query(`
+        SELECT count(*) AS row_count,
+               ${keyHash ? `sum(${keyHash}::numeric)::text` : 'NULL'} AS key_checksum,
+               COALESCE(sum(${rowHash}::numeric) FILTER (WHERE ${keyHash || rowHash} % $1 = 0), 0)::text AS sample_checksum
+        FROM ${quoteIdent(plan.schema)}.${quoteIdent(plan.table)}
+    `, [sampleRate]);
+    return { rowCount: Number(row.row_count), keyChecksum: row.key_checksum, sampleChecksum: row.sample_checksum };
+}
+
+// Every row as text values of the shared columns, ordered by key
+async function queryRows(client, plan, keyColumns) {
+    const { rows } = await client.query(`
+        SELECT ${plan.columns.map(c => `${quoteIdent(c)}::text AS ${quoteIdent(c)}`).join(', ')}
+        FROM ${quoteIdent(plan.schema)}.${quoteIdent(plan.table)}
+        ${keyColumns.length ? `ORDER BY ${keyColumns.map(quoteIdent).join(', ')}` : ''}
+    `);
+    return rows;
+}
+
+// ---------- Comparison ----------
+// Relative difference of estimated row counts above which a table is
+// reported as diverged; estimates drift on their own between ANALYZE runs
+const ESTIMATE_TOLERANCE = 0.1;
+
+function compareTable(plan, a, b) {
+    const exact = a.rowCount !== null && b.rowCount !== null;
+    const entry = {
+        key: plan.key,
+        keyColumns: a.keyColumns.join(',') === b.keyColumns.join(',') ? a.keyColumns : [],
+        rowsA: exact ? a.rowCount : a.rowEstimate,
+        rowsB: exact ? b.rowCount : b.rowEstimate,
+        exact,
+        unanalyzed: [a, b].some(side => side.rowEstimate === null && side.rowCount === null),
+        bytesA: a.bytes,
+        bytesB: b.bytes,
+        reasons: [],
+    };
+
+    if (exact) {
+        if (a.rowCount !== b.rowCount) entry.reasons.push(`${formatCount(a.rowCount)} rows in A, ${formatCount(b.rowCount)} in B`);
+        if (entry.keyColumns.length && a.keyChecksum !== b.keyChecksum) entry.reasons.push(`different ${entry.keyColumns.join(', ')} values`);
+        if (a.sampleChecksum !== b.sampleChecksum) entry.reasons.push('sampled rows differ');
+    } else if (a.rowEstimate !== null && b.rowEstimate !== null) {
+        const larger = Math.max(a.rowEstimate, b.rowEstimate);
+        if (larger && Math.abs(a.rowEstimate - b.rowEstimate) / larger > ESTIMATE_TOLERANCE) {
+            entry.reasons.push(`about ${formatCount(a.rowEstimate)} rows in A, ${formatCount(b.rowEstimate)} in B (estimated)`);
+        }
+    }
+
+    if (a.rows && b.rows) {
+        entry.rows = compareRows(a.rows, b.rows, entry.keyColumns);
+        const count = entry.rows.onlyInA.length + entry.rows.onlyInB.length + entry.rows.changed.length;
+        if (count) entry.reasons.push(count === 1 ? '1 row differs' : `${count} rows differ`);
+    }
+    entry.diverged = entry.reasons.length > 0;
+    return entry;
+}
+
+// Rows matched on their key; without one, whole rows are compared as a
+// multiset and can only be missing on one side, never changed
+function compareRows(rowsA, rowsB, keyColumns) {
+    const identity = row => JSON.stringify(keyColumns.length ? keyColumns.map(c => row[c]) : row);
+    const mapB = new Map();
+    for (const row of rowsB) {
+        const id = identity(row);
+        if (!mapB.has(id)) mapB.set(id, []);
+        mapB.get(id).push(row);
+    }
+
+    const onlyInA = [], changed = [];
+    for (const rowA of rowsA) {
+        const matches = mapB.get(identity(rowA));
+        const rowB = matches && matches.shift();
+        if (!rowB) {
+            onlyInA.push(rowA);
+            continue;
+        }
+        const differences = Object.keys(rowA)
+            .filter(column => rowA[column] !== rowB[column])
+            .map(column => ({ column, valueA: rowA[column], valueB: rowB[column] }));
+        if (differences.length) {
+            changed.push({ key: Object.fromEntries(keyColumns.map(c => [c, rowA[c]])), differences });
+        }
+    }
+    return { onlyInA, onlyInB: [...mapB.values()].flat(), changed };
+}
+
+// ---------- Helpers ----------
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+export function formatCount(n) {
+    return n === null || n === undefined ? '?' : Number(n).toLocaleString('en-US');
+}
+
+export function formatBytes(n) {
+    if (n === null || n === undefined) return '?';
+    const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    while (n >= 1024 && i < units.length - 1) {
+        n /= 1024;
+        i++;
+    }
+    return `${i ? n.toFixed(1) : n} ${units[i]}`;
+}
+
+/**
+ * Parse `--data-key` entries (`table=column` or `schema.table=col1+col2`)
+ * into the `keys` option.
+ */
+export function parseDataKeys(entries) {
+    const result = {};
+    for (const entry of entries) {
+        const match = /^([^=]+)=(.+)$/.exec(entry);
+        if (!match) throw new Error(`Invalid --data-key "${entry}"; expected table=column`);
+        result[match[1].trim()] = match[2].split('+').map(c => c.trim()).filter(Boolean);
+    }
+    return result;
+}
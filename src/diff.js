@@ -1,47 +1,381 @@
+import { normalizeWhitespace, sideBySide, diffInline } from './text-diff.js';
+import { expressionsEqual } from './sql-expr.js';
+import { applyIgnoreRules, findIgnoreRule } from './ignore.js';
+import { findRenameRule } from './renames.js';
+import { classify } from './severity.js';
+
 /**
  * Compare two extracted schemas and produce a structured diff result.
+ *
+ * Every entry carries a `severity` (breaking / risky / cosmetic) and a
+ * `reason` from the rules in severity.js. Only-in entries are
+ * `{ key, severity, reason }` (`{ column, ... }` for columns). Changed
+ * entries list what differs as `differences: [{ field, valueA, valueB, inline? }]`
+ * (`inline` being a character or word diff of text values), and changed
+ * bodies and queries carry a side-by-side `lineDiff`.
+ *
+ * `options.ignore` is a list of ignore rules (see ignore.js); matching
+ * entries are moved from their category into `ignored` instead of being
+ * reported as drift.
+ *
+ * `rlsWarnings` lists exposed tables that are unprotected in either database
+ * regardless of drift (see `rlsWarnings`); ignore rules hide them too.
+ * `sequenceWarnings` likewise lists sequences that fell behind the column
+ * they fill (see `sequenceWarnings`).
+ *
+ * Objects that belong to an extension (functions of pgvector, PostGIS tables,
+ * ...) and everything on them are moved into `extensionObjects` so only the
+ * database's own objects are reported; with `options.extensionObjects` set
+ * to `'show'` they stay in place, tagged with their `extension`.
+ *
+ * `renames` pairs tables and columns only in A with ones only in B that look
+ * like the same object under a new name (see `detectRenames`). The paired
+ * entries stay in their only-in lists. `options.renames` are the pairings
+ * confirmed or rejected in a renames file (see renames.js).
  */
-export function diffSchemas(schemaA, schemaB, labelA = 'Database A', labelB = 'Database B') {
-    return {
+export function diffSchemas(schemaA, schemaB, labelA = 'Database A', labelB = 'Database B', options = {}) {
+    const diff = {
         labelA,
         labelB,
+        schemas: [...new Set([...(schemaA.schemas || []), ...(schemaB.schemas || [])])].sort(),
+        extensions: diffExtensions(schemaA, schemaB),
         tables: diffTables(schemaA, schemaB),
+        views: diffViews(schemaA, schemaB),
         columns: diffColumns(schemaA, schemaB),
         indexes: diffIndexes(schemaA, schemaB),
         foreignKeys: diffForeignKeys(schemaA, schemaB),
+        constraints: diffConstraints(schemaA, schemaB),
+        sequences: diffSequences(schemaA, schemaB),
         enums: diffEnums(schemaA, schemaB),
+        domains: diffDomains(schemaA, schemaB),
+        collations: diffCollations(schemaA, schemaB),
+        rowSecurity: diffRowSecurity(schemaA, schemaB),
         policies: diffPolicies(schemaA, schemaB),
         functions: diffFunctions(schemaA, schemaB),
         triggers: diffTriggers(schemaA, schemaB),
+        eventTriggers: diffEventTriggers(schemaA, schemaB),
+        grants: diffGrants(schemaA, schemaB),
+    };
+    const ownerOf = extensionOwners([schemaA, schemaB]);
+    const hideExtensionObjects = options.extensionObjects !== 'show';
+    diff.extensionObjects = applyExtensionOwnership(diff, ownerOf, hideExtensionObjects);
+    const ownWarning = category => w => !(hideExtensionObjects && ownerOf(category, w.key)) && !findIgnoreRule(options.ignore || [], category, w.key);
+    diff.ignored = applyIgnoreRules(diff, options.ignore || []);
+    diff.rlsWarnings = [...rlsWarnings(schemaA, 'A'), ...rlsWarnings(schemaB, 'B')].filter(ownWarning('rowSecurity'));
+    diff.sequenceWarnings = [...sequenceWarnings(schemaA, 'A'), ...sequenceWarnings(schemaB, 'B')].filter(ownWarning('sequences'));
+    diff.renames = detectRenames(diff, schemaA, schemaB, options.renames || []);
+    return diff;
+}
+
+/**
+ * Diff categories, in report order.
+ */
+export const CATEGORIES = [
+    'extensions', 'tables', 'views', 'columns', 'indexes', 'foreignKeys', 'constraints', 'sequences',
+    'enums', 'domains', 'collations', 'rowSecurity', 'policies', 'functions', 'triggers', 'eventTriggers', 'grants',
+];
+
+const CATEGORY_ALIASES = {
+    fks: 'foreignKeys', 'foreign-keys': 'foreignKeys', foreignkeys: 'foreignKeys', rls: 'policies',
+    matviews: 'views', 'materialized-views': 'views',
+    privileges: 'grants', acl: 'grants',
+    'row-security': 'rowSecurity', rowsecurity: 'rowSecurity',
+    seqs: 'sequences', ext: 'extensions',
+    'event-triggers': 'eventTriggers', eventtriggers: 'eventTriggers',
+};
+
+/**
+ * Resolve a user-supplied category name (case-insensitive, with a few
+ * aliases such as `fks`) to its diff key, or null if it is not a category.
+ */
+export function resolveCategory(name) {
+    const lower = String(name).trim().toLowerCase();
+    if (CATEGORY_ALIASES[lower]) return CATEGORY_ALIASES[lower];
+    return CATEGORIES.find(c => c.toLowerCase() === lower) || null;
+}
+
+/**
+ * Every entry of a category (only in A, only in B and changed) as a flat list.
+ * Column entries are spread out of their per-table groups.
+ */
+export function categoryEntries(diff, category) {
+    const sections = category === 'columns' ? Object.values(diff.columns) : [diff[category]];
+    return sections.flatMap(d => [...d.onlyInA, ...d.onlyInB, ...(d.changed || [])]);
+}
+
+/**
+ * Key builders shared by the diff and anything that needs to map a diff key
+ * back to the extracted object (e.g. the migration generator).
+ * Every key starts with the schema name so objects in different schemas
+ * never collide; extensions and event triggers, which belong to the database
+ * rather than a schema, are keyed by name alone.
+ */
+export const keys = {
+    extension: e => e.extension_name,
+    table: t => `${t.table_schema}.${t.table_name}`,
+    view: v => `${v.view_schema}.${v.view_name}`,
+    column: c => `${c.table_schema}.${c.table_name}`,
+    index: i => `${i.schemaname}.${i.tablename}::${i.indexname}`,
+    foreignKey: fk => `${fk.table_schema}.${fk.table_name}.${fk.constraint_name}`,
+    constraint: c => `${c.table_schema}.${c.table_name}::${c.constraint_name}`,
+    sequence: s => `${s.sequence_schema}.${s.sequence_name}`,
+    enum: e => `${e.enum_schema}.${e.enum_name}`,
+    domain: d => `${d.domain_schema}.${d.domain_name}`,
+    collation: c => `${c.collation_schema}.${c.collation_name}`,
+    policy: p => `${p.schemaname}.${p.tablename}::${p.policyname}`,
+    function: f => `${f.function_schema}.${f.function_name}(${f.identity_arguments ?? f.arguments})`,
+    trigger: t => `${t.event_object_schema}.${t.event_object_table}::${t.trigger_name}`,
+    eventTrigger: t => t.trigger_name,
+    grant: g => `${g.object_schema ?? '*'}.${grantObject(g)}::${g.grantee}::${g.privilege_type}`,
+};
+
+// The object part of a grant key: `profiles`, `profiles.email` (column),
+// `add(integer)` (function), `SCHEMA`, or `DEFAULT tables FOR postgres`.
+// Default privileges that apply to every schema use `*` as their schema.
+function grantObject(g) {
+    switch (g.object_type) {
+        case 'column': return `${g.object_name}.${g.column_name}`;
+        case 'schema': return 'SCHEMA';
+        case 'default': return `DEFAULT ${g.object_name} FOR ${g.default_for_role}`;
+        default: return g.object_name;
+    }
+}
+
+/**
+ * Human-readable form of a grant: "anon has SELECT on table public.profiles".
+ */
+export function describeGrant(g) {
+    const privilege = `${g.grantee} has ${g.privilege_type}`;
+    const schema = g.object_schema ?? 'all schemas';
+    switch (g.object_type) {
+        case 'column': return `${privilege} on column ${g.object_schema}.${g.object_name}.${g.column_name}`;
+        case 'schema': return `${privilege} on schema ${g.object_schema}`;
+        case 'default': return `${privilege} on new ${g.object_name} of ${g.default_for_role} in ${schema} (default privileges)`;
+        default: return `${privilege} on ${g.object_type} ${g.object_schema}.${g.object_name}`;
+    }
+}
+
+/**
+ * Split a schema-qualified diff key into its schema and the remainder.
+ */
+export function splitKey(key) {
+    const dot = key.indexOf('.');
+    return dot === -1 ? ['', key] : [key.slice(0, dot), key.slice(dot + 1)];
+}
+
+/**
+ * Group diff entries by schema, preserving order. `keyFn` extracts the
+ * qualified key from an entry (defaults to the entry itself).
+ */
+export function groupBySchema(items, keyFn = k => k) {
+    const groups = new Map();
+    for (const item of items) {
+        const [schema] = splitKey(keyFn(item));
+        if (!groups.has(schema)) groups.set(schema, []);
+        groups.get(schema).push(item);
+    }
+    return groups;
+}
+
+// ---------- Extensions ----------
+// Keyed by name: the schema an extension is installed in is compared like
+// its version. Only-in entries carry `version` and `schema` for the reports.
+function diffExtensions(a, b) {
+    const mapA = new Map(a.extensions.map(e => [keys.extension(e), e]));
+    const mapB = new Map(b.extensions.map(e => [keys.extension(e), e]));
+    const details = map => entry => ({ ...entry, version: map.get(entry.key).extension_version, schema: map.get(entry.key).extension_schema });
+
+    const changed = [];
+    for (const [k, eA] of mapA) {
+        const eB = mapB.get(k);
+        if (!eB) continue;
+        const differences = fieldDifferences(eA, eB, ['extension_version', 'extension_schema']);
+        if (differences.length) changed.push({ key: k, differences, ...classify('extensions', 'changed', { a: eA, b: eB, differences }) });
+    }
+
+    return {
+        onlyInA: onlyIn('extensions', 'onlyInA', mapA, mapB).map(details(mapA)),
+        onlyInB: onlyIn('extensions', 'onlyInB', mapB, mapA).map(details(mapB)),
+        changed,
+    };
+}
+
+/**
+ * A lookup `(category, key) => extension name | undefined` telling which
+ * extension, in any of `schemas`, an object belongs to. Objects on a table
+ * (columns, indexes, policies, grants, ...) belong to the table's extension.
+ */
+export function extensionOwners(schemas) {
+    const owners = new Map();
+    for (const schema of schemas) {
+        for (const ext of schema.extensions || []) {
+            for (const member of extensionMembers(ext)) owners.set(`${member.kind}:${member.key}`, ext.extension_name);
+        }
+    }
+    const relation = key => owners.get(`relation:${key}`);
+    return (category, key) => {
+        if (!owners.size) return undefined;
+        switch (category) {
+            case 'extensions': return undefined;
+            case 'eventTriggers': return owners.get(`event_trigger:${key}`);
+            case 'tables':
+            case 'views':
+            case 'sequences':
+            case 'rowSecurity': return relation(key);
+            case 'functions': return owners.get(`function:${key}`);
+            case 'enums':
+            case 'domains': return owners.get(`type:${key}`);
+            case 'collations': return owners.get(`collation:${key}`);
+            case 'columns': return relation(key.slice(0, key.lastIndexOf('.')));
+            case 'foreignKeys': {
+                const [schema, rest] = splitKey(key);
+                return relation(`${schema}.${rest.slice(0, rest.indexOf('.'))}`);
+            }
+            case 'grants': {
+                // On a table, sequence or function, or on a column of a table
+                const object = key.split('::')[0];
+                return relation(object) || owners.get(`function:${object}`) || relation(object.slice(0, object.lastIndexOf('.')));
+            }
+            default: return relation(key.split('::')[0]);
+        }
     };
 }
 
+/**
+ * The objects that belong to an extension as `[{ kind, key }]`. Accepts the
+ * JSON text form as well as the parsed array.
+ */
+export function extensionMembers(ext) {
+    const list = typeof ext.members === 'string' ? JSON.parse(ext.members) : ext.members;
+    return Array.isArray(list) ? list : [];
+}
+
+// Tag every entry that belongs to an extension with its `extension`; when
+// `hide` is set, move those entries out of their category instead. Returns
+// the moved entries as `[{ category, side, key, severity, extension }]`.
+function applyExtensionOwnership(diff, ownerOf, hide) {
+    const moved = [];
+    const keep = (category, side, key, entry) => {
+        const extension = ownerOf(category, key);
+        if (!extension) return true;
+        if (!hide) {
+            entry.extension = extension;
+            return true;
+        }
+        moved.push({ category, side, key, severity: entry.severity, extension });
+        return false;
+    };
+
+    for (const category of CATEGORIES) {
+        if (category === 'columns') {
+            for (const [table, d] of Object.entries(diff.columns)) {
+                for (const side of ['onlyInA', 'onlyInB', 'changed']) {
+                    d[side] = d[side].filter(e => keep('columns', side, `${table}.${e.column}`, e));
+                }
+                if (!d.onlyInA.length && !d.onlyInB.length && !d.changed.length) delete diff.columns[table];
+            }
+            continue;
+        }
+        const section = diff[category];
+        for (const side of ['onlyInA', 'onlyInB', 'changed']) {
+            if (section[side]) section[side] = section[side].filter(e => keep(category, side, e.key ?? e.name, e));
+        }
+    }
+    return moved;
+}
+
 // ---------- Tables ----------
+// A relation that is a table on one side and a view on the other is reported
+// here as a changed table type, not as a dropped table and an added view.
 function diffTables(a, b) {
-    const namesA = new Set(a.tables.map(t => t.table_name));
-    const namesB = new Set(b.tables.map(t => t.table_name));
+    const mapA = new Map(a.tables.map(t => [keys.table(t), t]));
+    const mapB = new Map(b.tables.map(t => [keys.table(t), t]));
+    const typesA = relationTypes(a);
+    const typesB = relationTypes(b);
+
+    const changed = [...typesA.keys()]
+        .filter(k => (mapA.has(k) || mapB.has(k)) && typesB.has(k) && typesA.get(k) !== typesB.get(k))
+        .sort()
+        .map(k => {
+            const typeA = typesA.get(k), typeB = typesB.get(k);
+            return { key: k, typeA, typeB, ...classify('tables', 'changed', { a: mapA.get(k), b: mapB.get(k), typeA, typeB }) };
+        });
+
+    return {
+        onlyInA: onlyIn('tables', 'onlyInA', mapA, typesB),
+        onlyInB: onlyIn('tables', 'onlyInB', mapB, typesA),
+        changed,
+        common: [...mapA.keys()].filter(n => mapB.has(n)).sort(),
+    };
+}
+
+// Every relation's type by key: `BASE TABLE`, `FOREIGN`, `VIEW`, `MATERIALIZED VIEW`, ...
+function relationTypes(schema) {
+    return new Map([
+        ...schema.views.map(v => [keys.view(v), v.kind.toUpperCase()]),
+        ...schema.tables.map(t => [keys.table(t), t.table_type]),
+    ]);
+}
+
+// ---------- Views ----------
+// Views and materialized views. Queries are compared with whitespace
+// normalized; a changed query carries a side-by-side `lineDiff`.
+function diffViews(a, b) {
+    const keyFn = keys.view;
+    const valFn = v => JSON.stringify({ kind: v.kind, security_invoker: v.security_invoker, security_barrier: v.security_barrier });
+    const mapA = new Map(a.views.map(v => [keyFn(v), v]));
+    const mapB = new Map(b.views.map(v => [keyFn(v), v]));
+
+    const changed = [];
+    for (const [k, vA] of mapA) {
+        const vB = mapB.get(k);
+        if (!vB) continue;
+        const optionsA = valFn(vA);
+        const optionsB = valFn(vB);
+        const definitionChanged = normalizeWhitespace(vA.definition) !== normalizeWhitespace(vB.definition);
+        if (optionsA === optionsB && !definitionChanged) continue;
+        const entry = {
+            key: k, optionsA, optionsB,
+            differences: fieldDifferences(vA, vB, ['kind', 'security_invoker', 'security_barrier']),
+            ...classify('views', 'changed', { a: vA, b: vB, definitionChanged }),
+        };
+        if (definitionChanged) {
+            entry.definitionA = vA.definition;
+            entry.definitionB = vB.definition;
+            entry.lineDiff = sideBySide(vA.definition, vB.definition);
+        }
+        changed.push(entry);
+    }
+
+    // A view that is a table on the other side is reported under tables
     return {
-        onlyInA: [...namesA].filter(n => !namesB.has(n)).sort(),
-        onlyInB: [...namesB].filter(n => !namesA.has(n)).sort(),
-        common: [...namesA].filter(n => namesB.has(n)).sort(),
+        onlyInA: onlyIn('views', 'onlyInA', mapA, relationTypes(b)),
+        onlyInB: onlyIn('views', 'onlyInB', mapB, relationTypes(a)),
+        changed,
     };
 }
 
 // ---------- Columns ----------
 function diffColumns(a, b) {
-    const mapA = groupBy(a.columns, c => c.table_name);
-    const mapB = groupBy(b.columns, c => c.table_name);
+    const mapA = groupBy(a.columns, keys.column);
+    const mapB = groupBy(b.columns, keys.column);
     const allTables = new Set([...Object.keys(mapA), ...Object.keys(mapB)]);
+    // A table that is a view on the other side is reported as a changed table
+    // type; views have no extracted columns to compare against
+    const views = new Set([...a.views, ...b.views].map(keys.view));
 
     const result = {};
     for (const table of allTables) {
+        if (views.has(table)) continue;
         const colsA = mapA[table] || [];
         const colsB = mapB[table] || [];
         const colNamesA = new Set(colsA.map(c => c.column_name));
         const colNamesB = new Set(colsB.map(c => c.column_name));
 
-        const onlyInA = [...colNamesA].filter(n => !colNamesB.has(n));
-        const onlyInB = [...colNamesB].filter(n => !colNamesA.has(n));
+        const onlyInA = colsA.filter(c => !colNamesB.has(c.column_name))
+            .map(c => ({ column: c.column_name, ...classify('columns', 'onlyInA', { a: c }) }));
+        const onlyInB = colsB.filter(c => !colNamesA.has(c.column_name))
+            .map(c => ({ column: c.column_name, ...classify('columns', 'onlyInB', { b: c }) }));
         const changed = [];
 
         for (const name of colNamesA) {
@@ -50,7 +384,7 @@ function diffColumns(a, b) {
             const cB = colsB.find(c => c.column_name === name);
             const diffs = compareColumnDetails(cA, cB);
             if (diffs.length > 0) {
-                changed.push({ column: name, differences: diffs });
+                changed.push({ column: name, differences: diffs, ...classify('columns', 'changed', { a: cA, b: cB, differences: diffs }) });
             }
         }
 
@@ -67,9 +401,12 @@ function compareColumnDetails(a, b) {
         'numeric_precision', 'numeric_scale', 'is_nullable',
         'column_default', 'is_identity', 'identity_generation',
         'is_generated', 'generation_expression',
+        'domain_schema', 'domain_name', 'collation_name',
     ];
     const diffs = [];
     for (const f of fields) {
+        // Snapshots taken before a field was extracted do not have it
+        if (a[f] === undefined || b[f] === undefined) continue;
         const vA = normalize(a[f]);
         const vB = normalize(b[f]);
         if (vA !== vB) {
@@ -81,116 +418,595 @@ function compareColumnDetails(a, b) {
 
 // ---------- Indexes ----------
 function diffIndexes(a, b) {
-    const keyFn = i => `${i.tablename}::${i.indexname}`;
+    const keyFn = keys.index;
     const mapA = new Map(a.indexes.map(i => [keyFn(i), i.indexdef]));
     const mapB = new Map(b.indexes.map(i => [keyFn(i), i.indexdef]));
 
     return {
-        onlyInA: [...mapA.keys()].filter(k => !mapB.has(k)).sort(),
-        onlyInB: [...mapB.keys()].filter(k => !mapA.has(k)).sort(),
+        onlyInA: onlyIn('indexes', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('indexes', 'onlyInB', mapB, mapA),
         changed: [...mapA.keys()]
             .filter(k => mapB.has(k) && mapA.get(k) !== mapB.get(k))
-            .map(k => ({ key: k, defA: mapA.get(k), defB: mapB.get(k) })),
+            .map(k => ({
+                key: k, defA: mapA.get(k), defB: mapB.get(k),
+                differences: [textDifference('definition', mapA.get(k), mapB.get(k))],
+                ...classify('indexes', 'changed', { a: mapA.get(k), b: mapB.get(k) }),
+            })),
     };
 }
 
 // ---------- Foreign Keys ----------
 function diffForeignKeys(a, b) {
-    const keyFn = fk => `${fk.table_name}.${fk.constraint_name}`;
+    const keyFn = keys.foreignKey;
     const valFn = fk => `${fk.column_name}->${fk.foreign_table_name}.${fk.foreign_column_name}`;
     const mapA = new Map(a.foreignKeys.map(f => [keyFn(f), valFn(f)]));
     const mapB = new Map(b.foreignKeys.map(f => [keyFn(f), valFn(f)]));
 
     return {
-        onlyInA: [...mapA.keys()].filter(k => !mapB.has(k)).sort(),
-        onlyInB: [...mapB.keys()].filter(k => !mapA.has(k)).sort(),
+        onlyInA: onlyIn('foreignKeys', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('foreignKeys', 'onlyInB', mapB, mapA),
         changed: [...mapA.keys()]
             .filter(k => mapB.has(k) && mapA.get(k) !== mapB.get(k))
-            .map(k => ({ key: k, valueA: mapA.get(k), valueB: mapB.get(k) })),
+            .map(k => ({
+                key: k, valueA: mapA.get(k), valueB: mapB.get(k),
+                differences: [textDifference('references', mapA.get(k), mapB.get(k))],
+                ...classify('foreignKeys', 'changed', { a: mapA.get(k), b: mapB.get(k) }),
+            })),
     };
 }
 
+// ---------- Constraints (PK, UNIQUE, CHECK, EXCLUDE) ----------
+function diffConstraints(a, b) {
+    const keyFn = keys.constraint;
+    const mapA = new Map(a.constraints.map(c => [keyFn(c), c.definition]));
+    const mapB = new Map(b.constraints.map(c => [keyFn(c), c.definition]));
+
+    return {
+        onlyInA: onlyIn('constraints', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('constraints', 'onlyInB', mapB, mapA),
+        changed: [...mapA.keys()]
+            .filter(k => mapB.has(k) && mapA.get(k) !== mapB.get(k))
+            .map(k => ({
+                key: k, defA: mapA.get(k), defB: mapB.get(k),
+                differences: [textDifference('definition', mapA.get(k), mapB.get(k))],
+                ...classify('constraints', 'changed', { a: mapA.get(k), b: mapB.get(k) }),
+            })),
+    };
+}
+
+// ---------- Sequences ----------
+// Sequence settings, owner role and owning column. The current value is not
+// compared (it differs between any two databases in use); see
+// `sequenceWarnings` for sequences that fell behind their column instead.
+const SEQUENCE_FIELDS = ['data_type', 'increment_by', 'min_value', 'max_value', 'start_value', 'cache_size', 'cycle', 'owned_by', 'owner'];
+
+function diffSequences(a, b) {
+    const withOwner = s => ({ ...s, owned_by: s.column_name ? `${s.table_schema}.${s.table_name}.${s.column_name}` : null });
+    const mapA = new Map(a.sequences.map(s => [keys.sequence(s), withOwner(s)]));
+    const mapB = new Map(b.sequences.map(s => [keys.sequence(s), withOwner(s)]));
+
+    const changed = [];
+    for (const [k, sA] of mapA) {
+        const sB = mapB.get(k);
+        if (!sB) continue;
+        const differences = fieldDifferences(sA, sB, SEQUENCE_FIELDS);
+        if (differences.length) changed.push({ key: k, differences, ...classify('sequences', 'changed', { a: sA, b: sB, differences }) });
+    }
+
+    return {
+        onlyInA: onlyIn('sequences', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('sequences', 'onlyInB', mapB, mapA),
+        changed,
+    };
+}
+
+/**
+ * Sequences in one database whose next value is not above the largest value
+ * already in the integer column they are owned by, so the next insert that
+ * takes a value from them collides with an existing row (typically after
+ * rows were copied in with explicit ids). Returns `[{ side, key, column,
+ * nextValue, columnMax, message }]`.
+ */
+export function sequenceWarnings(schema, side) {
+    return (schema.sequences || [])
+        .filter(s => s.column_max != null && BigInt(s.increment_by) > 0n)
+        .flatMap(s => {
+            const nextValue = s.last_value == null ? BigInt(s.start_value) : BigInt(s.last_value) + BigInt(s.increment_by);
+            const columnMax = BigInt(s.column_max);
+            if (nextValue > columnMax) return [];
+            const column = `${s.table_schema}.${s.table_name}.${s.column_name}`;
+            return [{
+                side, key: keys.sequence(s), column,
+                nextValue: String(nextValue), columnMax: String(columnMax),
+                message: `Next value is ${nextValue} but ${column} already holds values up to ${columnMax}; inserts that use the sequence collide with existing rows`,
+            }];
+        })
+        .sort((x, y) => x.key.localeCompare(y.key));
+}
+
 // ---------- Enums ----------
 function diffEnums(a, b) {
     const buildMap = (enums) => {
         const map = {};
         for (const e of enums) {
-            if (!map[e.enum_name]) map[e.enum_name] = [];
-            map[e.enum_name].push(e.enum_value);
+            const name = keys.enum(e);
+            if (!map[name]) map[name] = [];
+            map[name].push(e.enum_value);
         }
         return map;
     };
-    const mapA = buildMap(a.enums);
-    const mapB = buildMap(b.enums);
-    const namesA = new Set(Object.keys(mapA));
-    const namesB = new Set(Object.keys(mapB));
+    const mapA = new Map(Object.entries(buildMap(a.enums)));
+    const mapB = new Map(Object.entries(buildMap(b.enums)));
 
     const changed = [];
-    for (const name of namesA) {
-        if (!namesB.has(name)) continue;
-        const valsA = mapA[name].sort();
-        const valsB = mapB[name].sort();
+    for (const [name, values] of mapA) {
+        if (!mapB.has(name)) continue;
+        const valsA = values.sort();
+        const valsB = mapB.get(name).sort();
         if (JSON.stringify(valsA) !== JSON.stringify(valsB)) {
-            changed.push({ name, valuesA: valsA, valuesB: valsB });
+            changed.push({ name, valuesA: valsA, valuesB: valsB, ...classify('enums', 'changed', { a: valsA, b: valsB }) });
         }
     }
 
     return {
-        onlyInA: [...namesA].filter(n => !namesB.has(n)).sort(),
-        onlyInB: [...namesB].filter(n => !namesA.has(n)).sort(),
+        onlyInA: onlyIn('enums', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('enums', 'onlyInB', mapB, mapA),
+        changed,
+    };
+}
+
+// ---------- Domains ----------
+// Base type, NOT NULL, default, collation and CHECK constraints. Constraints
+// are compared as a whole, listed as `name: definition`.
+const DOMAIN_FIELDS = ['data_type', 'not_null', 'default_value', 'collation_name', 'constraints'];
+
+function diffDomains(a, b) {
+    const flatten = d => ({ ...d, constraints: domainConstraints(d).map(c => `${c.name}: ${c.definition}`).join('; ') || null });
+    const mapA = new Map(a.domains.map(d => [keys.domain(d), flatten(d)]));
+    const mapB = new Map(b.domains.map(d => [keys.domain(d), flatten(d)]));
+
+    const changed = [];
+    for (const [k, dA] of mapA) {
+        const dB = mapB.get(k);
+        if (!dB) continue;
+        const differences = fieldDifferences(dA, dB, DOMAIN_FIELDS);
+        if (differences.length) changed.push({ key: k, differences, ...classify('domains', 'changed', { a: dA, b: dB, differences }) });
+    }
+
+    return {
+        onlyInA: onlyIn('domains', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('domains', 'onlyInB', mapB, mapA),
+        changed,
+    };
+}
+
+/**
+ * The CHECK constraints of a domain as `[{ name, definition }]`. Accepts the
+ * JSON text form as well as the parsed array.
+ */
+export function domainConstraints(d) {
+    const list = typeof d.constraints === 'string' ? JSON.parse(d.constraints) : d.constraints;
+    return Array.isArray(list) ? list : [];
+}
+
+// ---------- Collations ----------
+const COLLATION_FIELDS = ['provider', 'lc_collate', 'lc_ctype', 'locale', 'deterministic'];
+
+function diffCollations(a, b) {
+    const mapA = new Map(a.collations.map(c => [keys.collation(c), c]));
+    const mapB = new Map(b.collations.map(c => [keys.collation(c), c]));
+
+    const changed = [];
+    for (const [k, cA] of mapA) {
+        const cB = mapB.get(k);
+        if (!cB) continue;
+        const differences = fieldDifferences(cA, cB, COLLATION_FIELDS);
+        if (differences.length) changed.push({ key: k, differences, ...classify('collations', 'changed', { a: cA, b: cB, differences }) });
+    }
+
+    return {
+        onlyInA: onlyIn('collations', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('collations', 'onlyInB', mapB, mapA),
         changed,
     };
 }
 
+// ---------- Row Level Security ----------
+// Whether RLS is enabled and forced on tables present on both sides. Only
+// `changed` is ever filled: a table missing on one side is table drift.
+// Snapshots taken before the flags were extracted are skipped.
+function diffRowSecurity(a, b) {
+    const mapA = new Map(a.tables.filter(hasRlsFlags).map(t => [keys.table(t), t]));
+    const mapB = new Map(b.tables.filter(hasRlsFlags).map(t => [keys.table(t), t]));
+
+    return {
+        onlyInA: [],
+        onlyInB: [],
+        changed: [...mapA.keys()]
+            .filter(k => mapB.has(k) && (mapA.get(k).rls_enabled !== mapB.get(k).rls_enabled || mapA.get(k).rls_forced !== mapB.get(k).rls_forced))
+            .sort()
+            .map(k => {
+                const tA = mapA.get(k), tB = mapB.get(k);
+                return {
+                    key: k,
+                    enabledA: tA.rls_enabled, enabledB: tB.rls_enabled,
+                    forcedA: tA.rls_forced, forcedB: tB.rls_forced,
+                    ...classify('rowSecurity', 'changed', { a: tA, b: tB }),
+                };
+            }),
+    };
+}
+
+// Schemas whose tables clients can query directly (Supabase's Data API)
+const EXPOSED_SCHEMAS = ['public'];
+
+/**
+ * Tables in an exposed schema that RLS does not protect in one database:
+ * RLS disabled, or enabled without a single policy (which hides every row
+ * from everyone but the owner). Returns `[{ side, key, issue, message }]`
+ * with `issue` either `disabled` or `noPolicies`.
+ */
+export function rlsWarnings(schema, side) {
+    const withPolicies = new Set(schema.policies.map(p => `${p.schemaname}.${p.tablename}`));
+    return schema.tables
+        .filter(t => EXPOSED_SCHEMAS.includes(t.table_schema) && t.table_type === 'BASE TABLE' && hasRlsFlags(t))
+        .flatMap(t => {
+            const key = keys.table(t);
+            if (!t.rls_enabled) {
+                return [{ side, key, issue: 'disabled', message: 'RLS is disabled; every role with table privileges can read and write all rows' }];
+            }
+            if (!withPolicies.has(key)) {
+                const who = t.rls_forced ? 'anyone' : 'anyone but the owner';
+                return [{ side, key, issue: 'noPolicies', message: `RLS is enabled but there are no policies; no rows are visible to ${who}` }];
+            }
+            return [];
+        })
+        .sort((x, y) => x.key.localeCompare(y.key));
+}
+
+function hasRlsFlags(t) {
+    return typeof t.rls_enabled === 'boolean';
+}
+
 // ---------- RLS Policies ----------
+// USING and WITH CHECK are compared as parsed expressions (see sql-expr.js),
+// so parentheses and spacing do not count as drift. A changed policy lists
+// `differences: [{ field, valueA, valueB, inline? }]`, where `inline` is a
+// word diff of the two values for roles and expressions.
 function diffPolicies(a, b) {
-    const keyFn = p => `${p.tablename}::${p.policyname}`;
-    const valFn = p => JSON.stringify({ permissive: p.permissive, roles: p.roles, cmd: p.cmd, qual: p.qual, with_check: p.with_check });
-    const mapA = new Map(a.policies.map(p => [keyFn(p), valFn(p)]));
-    const mapB = new Map(b.policies.map(p => [keyFn(p), valFn(p)]));
+    const keyFn = keys.policy;
+    const mapA = new Map(a.policies.map(p => [keyFn(p), p]));
+    const mapB = new Map(b.policies.map(p => [keyFn(p), p]));
+
+    const changed = [];
+    for (const [k, pA] of mapA) {
+        const pB = mapB.get(k);
+        if (!pB) continue;
+        const differences = comparePolicyFields(pA, pB);
+        if (!differences.length) continue;
+        changed.push({ key: k, differences, ...classify('policies', 'changed', { a: pA, b: pB, differences }) });
+    }
 
     return {
-        onlyInA: [...mapA.keys()].filter(k => !mapB.has(k)).sort(),
-        onlyInB: [...mapB.keys()].filter(k => !mapA.has(k)).sort(),
-        changed: [...mapA.keys()]
-            .filter(k => mapB.has(k) && mapA.get(k) !== mapB.get(k))
-            .map(k => ({ key: k, valueA: mapA.get(k), valueB: mapB.get(k) })),
+        onlyInA: onlyIn('policies', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('policies', 'onlyInB', mapB, mapA),
+        changed,
     };
 }
 
+const POLICY_FIELDS = [
+    { field: 'permissive', value: p => p.permissive },
+    { field: 'cmd', value: p => p.cmd },
+    { field: 'roles', value: p => policyRoles(p).join(', '), inline: true },
+    { field: 'using', value: p => p.qual, expression: true, inline: true },
+    { field: 'with check', value: p => p.with_check, expression: true, inline: true },
+];
+
+function comparePolicyFields(a, b) {
+    const diffs = [];
+    for (const { field, value, expression, inline } of POLICY_FIELDS) {
+        const valueA = value(a) ?? null, valueB = value(b) ?? null;
+        if (expression ? expressionsEqual(valueA, valueB) : valueA === valueB) continue;
+        const df = { field, valueA, valueB };
+        if (inline) df.inline = diffInline(valueA ?? '', valueB ?? '');
+        diffs.push(df);
+    }
+    return diffs;
+}
+
+/**
+ * The roles a policy applies to, sorted. Accepts both the `{a,b}` text form
+ * of a Postgres array and an actual array.
+ */
+export function policyRoles(p) {
+    const roles = Array.isArray(p.roles)
+        ? p.roles
+        : String(p.roles ?? '').replace(/^\{|\}$/g, '').split(',').map(s => s.replace(/^"|"$/g, '')).filter(Boolean);
+    return [...roles].sort();
+}
+
 // ---------- Functions ----------
+// Overloads are keyed by their identity arguments, so a changed default
+// shows up as a changed signature rather than a drop and an add.
+// Bodies are compared with whitespace normalized; a changed body carries a
+// side-by-side `lineDiff` of the two definitions.
 function diffFunctions(a, b) {
-    const keyFn = f => `${f.function_name}(${f.arguments})`;
-    const valFn = f => JSON.stringify({ return_type: f.return_type, kind: f.kind, security_definer: f.security_definer, language: f.language });
-    const mapA = new Map(a.functions.map(f => [keyFn(f), valFn(f)]));
-    const mapB = new Map(b.functions.map(f => [keyFn(f), valFn(f)]));
+    const keyFn = keys.function;
+    const valFn = f => JSON.stringify({
+        arguments: f.arguments, return_type: f.return_type, kind: f.kind,
+        security_definer: f.security_definer, language: f.language,
+        volatility: f.volatility, strict: f.strict, cost: f.cost, config: f.config,
+    });
+    const mapA = new Map(a.functions.map(f => [keyFn(f), f]));
+    const mapB = new Map(b.functions.map(f => [keyFn(f), f]));
+
+    const changed = [];
+    for (const [k, fA] of mapA) {
+        const fB = mapB.get(k);
+        if (!fB) continue;
+        const signatureA = valFn(fA);
+        const signatureB = valFn(fB);
+        const bodyChanged = normalizeWhitespace(fA.definition) !== normalizeWhitespace(fB.definition);
+        if (signatureA === signatureB && !bodyChanged) continue;
+        const entry = {
+            key: k, signatureA, signatureB,
+            differences: fieldDifferences(fA, fB, ['arguments', 'return_type', 'kind', 'security_definer', 'language', 'volatility', 'strict', 'cost', 'config']),
+            ...classify('functions', 'changed', { a: fA, b: fB, bodyChanged }),
+        };
+        if (bodyChanged) {
+            entry.definitionA = fA.definition;
+            entry.definitionB = fB.definition;
+            entry.lineDiff = sideBySide(fA.definition, fB.definition);
+        }
+        changed.push(entry);
+    }
 
     return {
-        onlyInA: [...mapA.keys()].filter(k => !mapB.has(k)).sort(),
-        onlyInB: [...mapB.keys()].filter(k => !mapA.has(k)).sort(),
-        changed: [...mapA.keys()]
-            .filter(k => mapB.has(k) && mapA.get(k) !== mapB.get(k))
-            .map(k => ({ key: k, signatureA: mapA.get(k), signatureB: mapB.get(k) })),
+        onlyInA: onlyIn('functions', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('functions', 'onlyInB', mapB, mapA),
+        changed,
     };
 }
 
 // ---------- Triggers ----------
+// One entry per trigger, whatever the number of events it fires on. The
+// full definition is compared only when none of the parsed fields differ
+// (e.g. for REFERENCING or DEFERRABLE). Fields a side does not have, such as
+// `enabled` in a snapshot taken from information_schema, are not compared.
+const TRIGGER_FIELDS = ['action_timing', 'events', 'action_orientation', 'when_condition', 'action_statement', 'enabled'];
+
 function diffTriggers(a, b) {
-    const keyFn = t => `${t.event_object_table}::${t.trigger_name}::${t.event_manipulation}`;
-    const valFn = t => JSON.stringify({ action_statement: t.action_statement, action_timing: t.action_timing, action_orientation: t.action_orientation });
-    const mapA = new Map(a.triggers.map(t => [keyFn(t), valFn(t)]));
-    const mapB = new Map(b.triggers.map(t => [keyFn(t), valFn(t)]));
+    const mapA = new Map(a.triggers.map(t => [keys.trigger(t), t]));
+    const mapB = new Map(b.triggers.map(t => [keys.trigger(t), t]));
+
+    const changed = [];
+    for (const [k, tA] of mapA) {
+        const tB = mapB.get(k);
+        if (!tB) continue;
+        let differences = fieldDifferences(tA, tB, TRIGGER_FIELDS.filter(f => tA[f] !== undefined && tB[f] !== undefined));
+        if (!differences.length && tA.definition && tB.definition) differences = fieldDifferences(tA, tB, ['definition']);
+        if (differences.length) changed.push({ key: k, differences, ...classify('triggers', 'changed', { a: tA, b: tB, differences }) });
+    }
+
+    return {
+        onlyInA: onlyIn('triggers', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('triggers', 'onlyInB', mapB, mapA),
+        changed,
+    };
+}
+
+const EVENT_TRIGGER_FIELDS = ['event', 'tags', 'function_name', 'enabled'];
+
+function diffEventTriggers(a, b) {
+    const mapA = new Map(a.eventTriggers.map(t => [keys.eventTrigger(t), t]));
+    const mapB = new Map(b.eventTriggers.map(t => [keys.eventTrigger(t), t]));
+
+    const changed = [];
+    for (const [k, tA] of mapA) {
+        const tB = mapB.get(k);
+        if (!tB) continue;
+        const differences = fieldDifferences(tA, tB, EVENT_TRIGGER_FIELDS);
+        if (differences.length) changed.push({ key: k, differences, ...classify('eventTriggers', 'changed', { a: tA, b: tB, differences }) });
+    }
+
+    return {
+        onlyInA: onlyIn('eventTriggers', 'onlyInA', mapA, mapB),
+        onlyInB: onlyIn('eventTriggers', 'onlyInB', mapB, mapA),
+        changed,
+    };
+}
+
+// ---------- Grants ----------
+// One entry per grantee and privilege. Only-in entries carry the grant's
+// `description`; a changed entry means only WITH GRANT OPTION differs.
+function diffGrants(a, b) {
+    const mapA = new Map(a.grants.map(g => [keys.grant(g), g]));
+    const mapB = new Map(b.grants.map(g => [keys.grant(g), g]));
+    const describe = (entry, map) => ({ ...entry, description: describeGrant(map.get(entry.key)) });
 
     return {
-        onlyInA: [...mapA.keys()].filter(k => !mapB.has(k)).sort(),
-        onlyInB: [...mapB.keys()].filter(k => !mapA.has(k)).sort(),
+        onlyInA: onlyIn('grants', 'onlyInA', mapA, mapB).map(e => describe(e, mapA)),
+        onlyInB: onlyIn('grants', 'onlyInB', mapB, mapA).map(e => describe(e, mapB)),
         changed: [...mapA.keys()]
-            .filter(k => mapB.has(k) && mapA.get(k) !== mapB.get(k))
-            .map(k => ({ key: k, valueA: mapA.get(k), valueB: mapB.get(k) })),
+            .filter(k => mapB.has(k) && mapA.get(k).is_grantable !== mapB.get(k).is_grantable)
+            .map(k => ({
+                key: k,
+                description: describeGrant(mapA.get(k)),
+                grantableA: mapA.get(k).is_grantable,
+                grantableB: mapB.get(k).is_grantable,
+                ...classify('grants', 'changed', { a: mapA.get(k), b: mapB.get(k) }),
+            })),
     };
 }
 
+// ---------- Renames ----------
+// Every pairing of an object only in A with one only in B is scored on what
+// the two have in common; the best-scoring pairs at or above
+// MIN_RENAME_CONFIDENCE become `{ category, from, to, confidence, reasons, status }`
+// with `status` `possible`. A confirmed pairing is always taken, whatever its
+// score, with `status` `confirmed`; a rejected one never is. Each object is
+// paired at most once. Column pairs also carry the `differences` between the
+// two columns.
+const MIN_RENAME_CONFIDENCE = 0.65;
+
+function detectRenames(diff, a, b, rules) {
+    return [
+        ...pairRenames('tables', tableRenameCandidates(diff, a, b), rules),
+        ...pairRenames('columns', columnRenameCandidates(diff, a, b), rules),
+    ];
+}
+
+function pairRenames(category, candidates, rules) {
+    const ranked = candidates
+        .map(c => ({ ...c, rule: findRenameRule(rules, category, c.from, c.to) }))
+        .filter(c => (c.rule ? c.rule.confirmed : c.confidence >= MIN_RENAME_CONFIDENCE))
+        .sort((x, y) => Number(!!y.rule) - Number(!!x.rule) || y.confidence - x.confidence || x.from.localeCompare(y.from));
+    const takenA = new Set(), takenB = new Set();
+    const renames = [];
+    for (const { rule, ...c } of ranked) {
+        if (takenA.has(c.from) || takenB.has(c.to)) continue;
+        takenA.add(c.from);
+        takenB.add(c.to);
+        renames.push({ category, ...c, status: rule ? 'confirmed' : 'possible' });
+    }
+    return renames.sort((x, y) => x.from.localeCompare(y.from));
+}
+
+// Tables in the same schema with the same type, scored on their columns
+// (name, type and nullability) and on their indexes, constraints and
+// incoming foreign keys with the table's own name left out.
+function tableRenameCandidates(diff, a, b) {
+    const tablesA = new Map(a.tables.map(t => [keys.table(t), t]));
+    const tablesB = new Map(b.tables.map(t => [keys.table(t), t]));
+    const candidates = [];
+    for (const { key: from } of diff.tables.onlyInA) {
+        for (const { key: to } of diff.tables.onlyInB) {
+            if (splitKey(from)[0] !== splitKey(to)[0] || tablesA.get(from).table_type !== tablesB.get(to).table_type) continue;
+            const columns = overlap(tableColumns(a, from), tableColumns(b, to));
+            const structure = overlap(tableStructure(a, from), tableStructure(b, to));
+            const reasons = [`${columns.shared} of ${columns.total} columns match`];
+            if (structure.total && structure.shared === structure.total) reasons.push('same indexes, constraints and foreign keys');
+            candidates.push({
+                from, to,
+                confidence: round(structure.total ? 0.8 * columns.score + 0.2 * structure.score : columns.score),
+                reasons,
+            });
+        }
+    }
+    return candidates;
+}
+
+function tableColumns(schema, table) {
+    return schema.columns.filter(c => keys.column(c) === table).map(c => `${c.column_name} ${columnType(c)} ${c.is_nullable}`);
+}
+
+function tableStructure(schema, table) {
+    const [, name] = splitKey(table);
+    const own = text => text.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, 'g'), '?');
+    return [
+        ...schema.indexes.filter(i => `${i.schemaname}.${i.tablename}` === table)
+            .map(i => own(i.indexdef.replace(` ${i.indexname} `, ' ? '))),
+        ...schema.constraints.filter(c => keys.column(c) === table).map(c => own(c.definition)),
+        ...schema.foreignKeys.filter(fk => `${fk.foreign_table_schema}.${fk.foreign_table_name}` === table)
+            .map(fk => `${fk.table_schema}.${fk.table_name}.${fk.constraint_name} (${fk.column_name}) → (${fk.foreign_column_name})`),
+    ];
+}
+
+// Columns of a table that exists on both sides, scored on type, nullability,
+// default, position and the indexes, constraints and foreign keys that use them.
+function columnRenameCandidates(diff, a, b) {
+    const common = new Set(diff.tables.common);
+    const weights = { type: 0.4, nullability: 0.15, default: 0.15, position: 0.15, usage: 0.15 };
+    const candidates = [];
+    for (const [table, d] of Object.entries(diff.columns)) {
+        if (!common.has(table)) continue;
+        for (const { column: nameA } of d.onlyInA) {
+            const cA = a.columns.find(c => keys.column(c) === table && c.column_name === nameA);
+            const usageA = columnUsage(a, table, nameA);
+            for (const { column: nameB } of d.onlyInB) {
+                const cB = b.columns.find(c => keys.column(c) === table && c.column_name === nameB);
+                const usageB = columnUsage(b, table, nameB);
+                const same = {
+                    type: columnType(cA) === columnType(cB),
+                    nullability: cA.is_nullable === cB.is_nullable,
+                    default: normalize(cA.column_default) === normalize(cB.column_default),
+                    position: cA.ordinal_position === cB.ordinal_position,
+                    usage: usageA.length > 0 && usageA.join('\n') === usageB.join('\n'),
+                };
+                const matched = Object.keys(weights).filter(k => same[k]);
+                candidates.push({
+                    from: `${table}.${nameA}`,
+                    to: `${table}.${nameB}`,
+                    confidence: round(matched.reduce((sum, k) => sum + weights[k], 0)),
+                    reasons: matched.map(k => (k === 'usage' ? 'same index/foreign key usage' : `same ${k}`)),
+                    differences: compareColumnDetails(cA, cB),
+                });
+            }
+        }
+    }
+    return candidates;
+}
+
+// Indexes, constraints and foreign keys of `table` that mention `column`,
+// with the column's and the index's own names left out
+function columnUsage(schema, table, column) {
+    const word = `\\b${escapeRegExp(column)}\\b`;
+    const mentions = text => new RegExp(word).test(text);
+    const hide = text => text.replace(new RegExp(word, 'g'), '?');
+    return [
+        ...schema.indexes.filter(i => `${i.schemaname}.${i.tablename}` === table)
+            .map(i => i.indexdef.replace(` ${i.indexname} `, ' ? '))
+            .filter(mentions).map(hide),
+        ...schema.constraints.filter(c => keys.column(c) === table && mentions(c.definition)).map(c => hide(c.definition)),
+        ...schema.foreignKeys.filter(fk => keys.column(fk) === table && fk.column_name === column)
+            .map(fk => `→ ${fk.foreign_table_schema}.${fk.foreign_table_name}(${fk.foreign_column_name})`),
+    ].sort();
+}
+
+function columnType(c) {
+    return [c.udt_name, c.character_maximum_length, c.numeric_precision, c.numeric_scale].map(normalize).join(' ');
+}
+
+// How much two lists of signatures have in common (Dice coefficient)
+function overlap(listA, listB) {
+    const setB = new Set(listB);
+    const shared = new Set(listA.filter(x => setB.has(x))).size;
+    const total = new Set([...listA, ...listB]).size;
+    return { shared, total, score: listA.length + listB.length ? (2 * shared) / (listA.length + listB.length) : 0 };
+}
+
+function round(score) {
+    return Math.round(score * 100) / 100;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // ---------- Helpers ----------
+// The `fields` of two objects that differ, as `differences` entries
+function fieldDifferences(a, b, fields) {
+    return fields
+        .filter(field => (a[field] ?? null) !== (b[field] ?? null))
+        .map(field => textDifference(field, a[field] ?? null, b[field] ?? null));
+}
+
+// One `differences` entry; two text values get a character-level `inline` diff
+function textDifference(field, valueA, valueB) {
+    const df = { field, valueA, valueB };
+    if (typeof valueA === 'string' && typeof valueB === 'string') df.inline = diffInline(valueA, valueB, 'char');
+    return df;
+}
+
+// Keys of `map` missing from `other`, sorted, as classified only-in entries.
+// The map values are what the severity rules receive for the object.
+function onlyIn(category, side, map, other) {
+    return [...map.keys()].filter(k => !other.has(k)).sort().map(key => ({
+        key,
+        ...classify(category, side, side === 'onlyInA' ? { a: map.get(key) } : { b: map.get(key) }),
+    }));
+}
+
 function normalize(v) {
     if (v === null || v === undefined) return '';
     return String(v).trim();
@@ -1,120 +1,389 @@
 import pg from 'pg';
+import { matchAny } from './glob.js';
 const { Client } = pg;
 
+// Catalog schemas that are never compared unless named explicitly
+const SYSTEM_SCHEMAS = ['pg_catalog', 'information_schema', 'pg_toast', 'pg_temp_*', 'pg_toast_temp_*'];
+
 /**
- * Connect to a Postgres database and extract the full public schema metadata.
- * Returns a structured object with tables, columns, indexes, foreign keys,
- * enums, RLS policies, functions, and triggers.
+ * Connect to a Postgres database and extract the schema metadata of every
+ * selected schema (only `public` by default).
+ * Returns a structured object with tables, views (including materialized
+ * views), columns, indexes, foreign keys, constraints (primary key, unique,
+ * check, exclusion), sequences, enums, domains, collations, RLS policies,
+ * functions, triggers, event triggers, grants, and installed extensions.
+ * Views are listed under `views` only, not under `tables`, and their columns
+ * are left out of `columns`: the view query describes them. Tables carry
+ * their row level security flags (`rls_enabled`, `rls_forced`).
+ * Extensions and event triggers belong to the database rather than a schema
+ * and are listed whatever the schema selection; extensions come with the
+ * objects in the selected schemas that belong to them (`members`).
+ *
+ * Options:
+ *   schemas        — schema names or glob patterns to include (default ['public'])
+ *   excludeSchemas — schema names or glob patterns to skip
+ *   quiet          — print no progress lines
  */
-export async function extractSchema(connectionString, label = 'database') {
+export async function extractSchema(connectionString, label = 'database', options = {}) {
   const client = new Client({ connectionString, ssl: { rejectUnauthorized: false } });
+  const log = options.quiet ? () => {} : console.log;
 
   try {
     await client.connect();
-    console.log(`  ✓ Connected to ${label}`);
+    log(`  ✓ Connected to ${label}`);
+
+    const schemas = await resolveSchemas(client, options);
 
-    const [tables, columns, indexes, foreignKeys, enums, policies, functions, triggers] =
+    const [extensions, tables, views, columns, indexes, foreignKeys, constraints, sequences, enums, domains, collations, policies, functions, triggers, eventTriggers, grants] =
       await Promise.all([
-        queryTables(client),
-        queryColumns(client),
-        queryIndexes(client),
-        queryForeignKeys(client),
-        queryEnums(client),
-        queryPolicies(client),
-        queryFunctions(client),
-        queryTriggers(client),
+        queryExtensions(client, schemas),
+        queryTables(client, schemas),
+        queryViews(client, schemas),
+        queryColumns(client, schemas),
+        queryIndexes(client, schemas),
+        queryForeignKeys(client, schemas),
+        queryConstraints(client, schemas),
+        querySequences(client, schemas),
+        queryEnums(client, schemas),
+        queryDomains(client, schemas),
+        queryCollations(client, schemas),
+        queryPolicies(client, schemas),
+        queryFunctions(client, schemas),
+        queryTriggers(client, schemas),
+        queryEventTriggers(client),
+        queryGrants(client, schemas),
       ]);
 
-    console.log(`  ✓ Extracted schema from ${label} (${tables.length} tables, ${columns.length} columns)`);
+    log(`  ✓ Extracted schema from ${label} (${schemas.length} schemas, ${tables.length} tables, ${views.length} views, ${columns.length} columns)`);
 
-    return { tables, columns, indexes, foreignKeys, enums, policies, functions, triggers };
+    return { schemas, extensions, tables, views, columns, indexes, foreignKeys, constraints, sequences, enums, domains, collations, policies, functions, triggers, eventTriggers, grants };
   } finally {
     await client.end();
   }
 }
 
-async function queryTables(client) {
+/**
+ * Resolve the include/exclude patterns against the schemas that exist in the
+ * database. System schemas only match when listed by exact name.
+ */
+async function resolveSchemas(client, { schemas = ['public'], excludeSchemas = [] } = {}) {
+  const include = schemas.length ? schemas : ['public'];
+  const { rows } = await client.query(`SELECT nspname FROM pg_namespace ORDER BY nspname`);
+  return rows
+    .map(r => r.nspname)
+    .filter(name => matchAny(include, name))
+    .filter(name => !matchAny(excludeSchemas, name))
+    .filter(name => include.includes(name) || !matchAny(SYSTEM_SCHEMAS, name));
+}
+
+/**
+ * Installed extensions with their version and schema. `members` lists the
+ * objects in the selected schemas that belong to the extension (from
+ * `pg_depend`) as `{ kind, key }`, where `kind` is `relation` (tables, views,
+ * sequences), `function`, `type` (enums, domains), `collation` or
+ * `event_trigger` and `key` is the object's diff key.
+ */
+async function queryExtensions(client, schemas) {
+  const { rows } = await client.query(`
+    SELECT e.extname AS extension_name,
+           e.extversion AS extension_version,
+           n.nspname AS extension_schema,
+           COALESCE((
+             SELECT json_agg(m ORDER BY m.kind, m.key)
+             FROM (
+               SELECT 'relation' AS kind, cn.nspname || '.' || c.relname AS key
+               FROM pg_depend d
+               JOIN pg_class c ON d.classid = 'pg_class'::regclass AND c.oid = d.objid
+               JOIN pg_namespace cn ON c.relnamespace = cn.oid
+               WHERE d.refobjid = e.oid AND d.deptype = 'e' AND cn.nspname = ANY($1)
+               UNION ALL
+               SELECT 'function', pn.nspname || '.' || p.proname || '(' || pg_get_function_identity_arguments(p.oid) || ')'
+               FROM pg_depend d
+               JOIN pg_proc p ON d.classid = 'pg_proc'::regclass AND p.oid = d.objid
+               JOIN pg_namespace pn ON p.pronamespace = pn.oid
+               WHERE d.refobjid = e.oid AND d.deptype = 'e' AND pn.nspname = ANY($1)
+               UNION ALL
+               SELECT 'type', tn.nspname || '.' || t.typname
+               FROM pg_depend d
+               JOIN pg_type t ON d.classid = 'pg_type'::regclass AND t.oid = d.objid
+               JOIN pg_namespace tn ON t.typnamespace = tn.oid
+               WHERE d.refobjid = e.oid AND d.deptype = 'e' AND tn.nspname = ANY($1)
+               UNION ALL
+               SELECT 'collation', con.nspname || '.' || co.collname
+               FROM pg_depend d
+               JOIN pg_collation co ON d.classid = 'pg_collation'::regclass AND co.oid = d.objid
+               JOIN pg_namespace con ON co.collnamespace = con.oid
+               WHERE d.refobjid = e.oid AND d.deptype = 'e' AND con.nspname = ANY($1)
+               UNION ALL
+               SELECT 'event_trigger', et.evtname
+               FROM pg_depend d
+               JOIN pg_event_trigger et ON d.classid = 'pg_event_trigger'::regclass AND et.oid = d.objid
+               WHERE d.refobjid = e.oid AND d.deptype = 'e'
+             ) m
+           ), '[]') AS members
+    FROM pg_extension e
+    JOIN pg_namespace n ON e.extnamespace = n.oid
+    ORDER BY e.extname
+  `, [schemas]);
+  return rows;
+}
+
+async function queryTables(client, schemas) {
   const { rows } = await client.query(`
-    SELECT table_name, table_type,
-           obj_description((quote_ident(table_schema) || '.' || quote_ident(table_name))::regclass, 'pg_class') AS comment
-    FROM information_schema.tables
-    WHERE table_schema = 'public'
-    ORDER BY table_name
-  `);
+    SELECT t.table_schema, t.table_name, t.table_type,
+           obj_description(c.oid, 'pg_class') AS comment,
+           c.relrowsecurity AS rls_enabled,
+           c.relforcerowsecurity AS rls_forced
+    FROM information_schema.tables t
+    JOIN pg_class c ON c.oid = (quote_ident(t.table_schema) || '.' || quote_ident(t.table_name))::regclass
+    WHERE t.table_schema = ANY($1) AND t.table_type <> 'VIEW'
+    ORDER BY table_schema, table_name
+  `, [schemas]);
   return rows;
 }
 
-async function queryColumns(client) {
+// Views and materialized views (the latter are not in information_schema)
+async function queryViews(client, schemas) {
   const { rows } = await client.query(`
-    SELECT table_name, column_name, ordinal_position,
-           data_type, udt_name, character_maximum_length,
+    SELECT n.nspname AS view_schema,
+           c.relname AS view_name,
+           CASE c.relkind WHEN 'v' THEN 'view' ELSE 'materialized view' END AS kind,
+           pg_get_viewdef(c.oid) AS definition,
+           COALESCE(opt.security_invoker, false) AS security_invoker,
+           COALESCE(opt.security_barrier, false) AS security_barrier
+    FROM pg_class c
+    JOIN pg_namespace n ON c.relnamespace = n.oid
+    LEFT JOIN LATERAL (
+      SELECT bool_or(CASE WHEN option_name = 'security_invoker' THEN option_value::boolean END) AS security_invoker,
+             bool_or(CASE WHEN option_name = 'security_barrier' THEN option_value::boolean END) AS security_barrier
+      FROM pg_options_to_table(c.reloptions)
+    ) opt ON true
+    WHERE c.relkind IN ('v', 'm') AND n.nspname = ANY($1)
+    ORDER BY n.nspname, c.relname
+  `, [schemas]);
+  return rows;
+}
+
+async function queryColumns(client, schemas) {
+  const { rows } = await client.query(`
+    SELECT table_schema, table_name, column_name, ordinal_position,
+           data_type, udt_schema, udt_name, character_maximum_length,
            numeric_precision, numeric_scale,
            is_nullable, column_default, is_identity,
-           identity_generation, is_generated, generation_expression
+           identity_generation, is_generated, generation_expression,
+           collation_schema, collation_name, domain_schema, domain_name
     FROM information_schema.columns
-    WHERE table_schema = 'public'
-    ORDER BY table_name, ordinal_position
-  `);
+    WHERE table_schema = ANY($1)
+      AND (table_schema, table_name) NOT IN (SELECT table_schema, table_name FROM information_schema.views)
+    ORDER BY table_schema, table_name, ordinal_position
+  `, [schemas]);
   return rows;
 }
 
-async function queryIndexes(client) {
+async function queryIndexes(client, schemas) {
   const { rows } = await client.query(`
     SELECT schemaname, tablename, indexname, indexdef
     FROM pg_indexes
-    WHERE schemaname = 'public'
-    ORDER BY tablename, indexname
-  `);
+    WHERE schemaname = ANY($1)
+    ORDER BY schemaname, tablename, indexname
+  `, [schemas]);
   return rows;
 }
 
-async function queryForeignKeys(client) {
+async function queryForeignKeys(client, schemas) {
   const { rows } = await client.query(`
     SELECT
+      tc.table_schema,
       tc.table_name,
       tc.constraint_name,
       kcu.column_name,
+      ccu.table_schema AS foreign_table_schema,
       ccu.table_name AS foreign_table_name,
       ccu.column_name AS foreign_column_name
     FROM information_schema.table_constraints AS tc
     JOIN information_schema.key_column_usage AS kcu
       ON tc.constraint_name = kcu.constraint_name AND tc.table_schema = kcu.table_schema
     JOIN information_schema.constraint_column_usage AS ccu
-      ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
-    WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = 'public'
-    ORDER BY tc.table_name, tc.constraint_name
-  `);
+      ON ccu.constraint_name = tc.constraint_name AND ccu.constraint_schema = tc.constraint_schema
+    WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = ANY($1)
+    ORDER BY tc.table_schema, tc.table_name, tc.constraint_name
+  `, [schemas]);
+  return rows;
+}
+
+async function queryConstraints(client, schemas) {
+  const { rows } = await client.query(`
+    SELECT n.nspname AS table_schema,
+           c.relname AS table_name,
+           con.conname AS constraint_name,
+           CASE con.contype
+             WHEN 'p' THEN 'PRIMARY KEY'
+             WHEN 'u' THEN 'UNIQUE'
+             WHEN 'c' THEN 'CHECK'
+             WHEN 'x' THEN 'EXCLUDE'
+           END AS constraint_type,
+           pg_get_constraintdef(con.oid) AS definition
+    FROM pg_constraint con
+    JOIN pg_class c ON con.conrelid = c.oid
+    JOIN pg_namespace n ON c.relnamespace = n.oid
+    WHERE con.contype IN ('p', 'u', 'c', 'x') AND n.nspname = ANY($1)
+    ORDER BY n.nspname, c.relname, con.conname
+  `, [schemas]);
+  return rows;
+}
+
+/**
+ * Sequences with their settings, owner role, current value (`last_value`,
+ * null until first used) and the column they are owned by (`table_schema`,
+ * `table_name`, `column_name`; `identity` when that column is an identity
+ * column). For an owned integer column that leads a btree index,
+ * `column_max` is the column's largest value, so a sequence that fell behind
+ * its table can be spotted; other columns are not read, since max() would
+ * scan the whole table.
+ */
+async function querySequences(client, schemas) {
+  const { rows } = await client.query(`
+    SELECT s.schemaname AS sequence_schema,
+           s.sequencename AS sequence_name,
+           s.sequenceowner AS owner,
+           format_type(s.data_type, NULL) AS data_type,
+           s.start_value::text AS start_value,
+           s.min_value::text AS min_value,
+           s.max_value::text AS max_value,
+           s.increment_by::text AS increment_by,
+           s.cycle,
+           s.cache_size::text AS cache_size,
+           s.last_value::text AS last_value,
+           has_sequence_privilege(c.oid, 'SELECT') AS readable,
+           own.table_schema, own.table_name, own.column_name, COALESCE(own.identity, false) AS identity,
+           COALESCE(own.integer_column, false) AS integer_column,
+           COALESCE(own.indexed, false) AS indexed
+    FROM pg_sequences s
+    JOIN pg_namespace n ON n.nspname = s.schemaname
+    JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = s.sequencename
+    LEFT JOIN LATERAL (
+      SELECT tn.nspname AS table_schema, t.relname AS table_name, a.attname AS column_name,
+             d.deptype = 'i' AS identity,
+             a.atttypid IN ('int2'::regtype, 'int4'::regtype, 'int8'::regtype) AS integer_column,
+             EXISTS (
+               SELECT 1 FROM pg_index i
+               JOIN pg_class ic ON ic.oid = i.indexrelid
+               JOIN pg_am am ON am.oid = ic.relam
+               WHERE i.indrelid = t.oid AND i.indkey[0] = a.attnum
+                 AND i.indpred IS NULL AND am.amname = 'btree'
+             ) AS indexed
+      FROM pg_depend d
+      JOIN pg_class t ON t.oid = d.refobjid
+      JOIN pg_namespace tn ON tn.oid = t.relnamespace
+      JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = d.refobjsubid
+      WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid
+        AND d.refclassid = 'pg_class'::regclass AND d.deptype IN ('a', 'i')
+      LIMIT 1
+    ) own ON true
+    WHERE s.schemaname = ANY($1)
+    ORDER BY s.schemaname, s.sequencename
+  `, [schemas]);
+
+  // One index lookup per owned column
+  for (const seq of rows) {
+    const { readable, integer_column: integerColumn, indexed } = seq;
+    delete seq.readable;
+    delete seq.integer_column;
+    delete seq.indexed;
+    seq.column_max = null;
+    if (!readable || !integerColumn || !indexed) continue;
+    try {
+      const { rows: [row] } = await client.query(
+        `SELECT max(${quoteIdent(seq.column_name)})::text AS max FROM ${quoteIdent(seq.table_schema)}.${quoteIdent(seq.table_name)}`);
+      seq.column_max = row.max;
+    } catch (err) {
+      // No SELECT on the table: the sequence is simply not checked
+      if (err.code !== '42501') throw err;
+    }
+  }
   return rows;
 }
 
-async function queryEnums(client) {
+async function queryEnums(client, schemas) {
   const { rows } = await client.query(`
-    SELECT t.typname AS enum_name,
+    SELECT n.nspname AS enum_schema,
+           t.typname AS enum_name,
            e.enumlabel AS enum_value,
            e.enumsortorder
     FROM pg_type t
     JOIN pg_enum e ON t.oid = e.enumtypid
     JOIN pg_namespace n ON t.typnamespace = n.oid
-    WHERE n.nspname = 'public'
-    ORDER BY t.typname, e.enumsortorder
-  `);
+    WHERE n.nspname = ANY($1)
+    ORDER BY n.nspname, t.typname, e.enumsortorder
+  `, [schemas]);
+  return rows;
+}
+
+// Domains with their base type, NOT NULL, default, collation (when it is not
+// the base type's) and CHECK constraints as `[{ name, definition }]`
+async function queryDomains(client, schemas) {
+  const { rows } = await client.query(`
+    SELECT n.nspname AS domain_schema,
+           t.typname AS domain_name,
+           format_type(t.typbasetype, t.typtypmod) AS data_type,
+           t.typnotnull AS not_null,
+           t.typdefault AS default_value,
+           CASE WHEN t.typcollation <> bt.typcollation THEN co.collname END AS collation_name,
+           COALESCE((
+             SELECT json_agg(json_build_object('name', con.conname, 'definition', pg_get_constraintdef(con.oid)) ORDER BY con.conname)
+             FROM pg_constraint con
+             WHERE con.contypid = t.oid AND con.contype = 'c'
+           ), '[]') AS constraints
+    FROM pg_type t
+    JOIN pg_namespace n ON t.typnamespace = n.oid
+    JOIN pg_type bt ON bt.oid = t.typbasetype
+    LEFT JOIN pg_collation co ON co.oid = t.typcollation
+    WHERE t.typtype = 'd' AND n.nspname = ANY($1)
+    ORDER BY n.nspname, t.typname
+  `, [schemas]);
   return rows;
 }
 
-async function queryPolicies(client) {
+// User-defined collations. The ICU locale column was renamed in Postgres 17,
+// so it is read through to_jsonb to work on either side of that.
+async function queryCollations(client, schemas) {
+  const { rows } = await client.query(`
+    SELECT n.nspname AS collation_schema,
+           c.collname AS collation_name,
+           CASE c.collprovider
+             WHEN 'c' THEN 'libc'
+             WHEN 'i' THEN 'icu'
+             WHEN 'b' THEN 'builtin'
+             ELSE 'default'
+           END AS provider,
+           c.collcollate AS lc_collate,
+           c.collctype AS lc_ctype,
+           COALESCE(to_jsonb(c) ->> 'colllocale', to_jsonb(c) ->> 'colliculocale') AS locale,
+           c.collisdeterministic AS deterministic
+    FROM pg_collation c
+    JOIN pg_namespace n ON c.collnamespace = n.oid
+    WHERE n.nspname = ANY($1)
+    ORDER BY n.nspname, c.collname
+  `, [schemas]);
+  return rows;
+}
+
+async function queryPolicies(client, schemas) {
   const { rows } = await client.query(`
     SELECT schemaname, tablename, policyname, permissive, roles, cmd, qual, with_check
     FROM pg_policies
-    WHERE schemaname = 'public'
-    ORDER BY tablename, policyname
-  `);
+    WHERE schemaname = ANY($1)
+    ORDER BY schemaname, tablename, policyname
+  `, [schemas]);
   return rows;
 }
 
-async function queryFunctions(client) {
+async function queryFunctions(client, schemas) {
   const { rows } = await client.query(`
-    SELECT p.proname AS function_name,
+    SELECT n.nspname AS function_schema,
+           p.proname AS function_name,
            pg_get_function_arguments(p.oid) AS arguments,
+           pg_get_function_identity_arguments(p.oid) AS identity_arguments,
            pg_get_function_result(p.oid) AS return_type,
            CASE p.prokind
              WHEN 'f' THEN 'function'
@@ -123,23 +392,144 @@ async function queryFunctions(client) {
              WHEN 'w' THEN 'window'
            END AS kind,
            p.prosecdef AS security_definer,
-           l.lanname AS language
+           l.lanname AS language,
+           CASE p.provolatile
+             WHEN 'i' THEN 'immutable'
+             WHEN 's' THEN 'stable'
+             WHEN 'v' THEN 'volatile'
+           END AS volatility,
+           p.proisstrict AS strict,
+           p.procost AS cost,
+           array_to_string(p.proconfig, ', ') AS config,
+           CASE WHEN p.prokind <> 'a' THEN pg_get_functiondef(p.oid) END AS definition
     FROM pg_proc p
     JOIN pg_namespace n ON p.pronamespace = n.oid
     JOIN pg_language l ON p.prolang = l.oid
-    WHERE n.nspname = 'public'
-    ORDER BY p.proname
-  `);
+    WHERE n.nspname = ANY($1)
+    ORDER BY n.nspname, p.proname
+  `, [schemas]);
   return rows;
 }
 
-async function queryTriggers(client) {
+/**
+ * One row per trigger, with all its events (`INSERT OR UPDATE OF status`),
+ * its WHEN condition, whether it fires (`enabled`: enabled, disabled,
+ * replica or always) and its full `definition`. Internal triggers, such as
+ * the ones that enforce foreign keys, are left out.
+ */
+async function queryTriggers(client, schemas) {
   const { rows } = await client.query(`
-    SELECT trigger_name, event_manipulation, event_object_table,
-           action_statement, action_timing, action_orientation
-    FROM information_schema.triggers
-    WHERE trigger_schema = 'public'
-    ORDER BY event_object_table, trigger_name
+    SELECT n.nspname AS event_object_schema, c.relname AS event_object_table, t.tgname AS trigger_name,
+           CASE WHEN t.tgtype & 2 <> 0 THEN 'BEFORE' WHEN t.tgtype & 64 <> 0 THEN 'INSTEAD OF' ELSE 'AFTER' END AS action_timing,
+           concat_ws(' OR ',
+             CASE WHEN t.tgtype & 4 <> 0 THEN 'INSERT' END,
+             CASE WHEN t.tgtype & 16 <> 0 THEN 'UPDATE' || COALESCE(' OF ' || (
+               SELECT string_agg(quote_ident(a.attname), ', ' ORDER BY a.attnum)
+               FROM pg_attribute a
+               WHERE a.attrelid = t.tgrelid AND a.attnum = ANY(t.tgattr)
+             ), '') END,
+             CASE WHEN t.tgtype & 8 <> 0 THEN 'DELETE' END,
+             CASE WHEN t.tgtype & 32 <> 0 THEN 'TRUNCATE' END
+           ) AS events,
+           CASE WHEN t.tgtype & 1 <> 0 THEN 'ROW' ELSE 'STATEMENT' END AS action_orientation,
+           substring(def FROM ' WHEN \\((.*)\\) EXECUTE ') AS when_condition,
+           substring(def FROM 'EXECUTE (?:FUNCTION|PROCEDURE) .*$') AS action_statement,
+           CASE t.tgenabled WHEN 'D' THEN 'disabled' WHEN 'R' THEN 'replica' WHEN 'A' THEN 'always' ELSE 'enabled' END AS enabled,
+           def AS definition
+    FROM pg_trigger t
+    JOIN pg_class c ON t.tgrelid = c.oid
+    JOIN pg_namespace n ON c.relnamespace = n.oid
+    CROSS JOIN LATERAL pg_get_triggerdef(t.oid) def
+    WHERE NOT t.tgisinternal AND n.nspname = ANY($1)
+    ORDER BY n.nspname, c.relname, t.tgname
+  `, [schemas]);
+  return rows;
+}
+
+/**
+ * Event triggers (DDL triggers) of the whole database, with the event they
+ * fire on, their function, the command tags they are limited to (`tags`,
+ * comma-separated) and whether they fire (`enabled`, as for triggers).
+ */
+async function queryEventTriggers(client) {
+  const { rows } = await client.query(`
+    SELECT e.evtname AS trigger_name, e.evtevent AS event,
+           n.nspname || '.' || p.proname AS function_name,
+           array_to_string(e.evttags, ', ') AS tags,
+           CASE e.evtenabled WHEN 'D' THEN 'disabled' WHEN 'R' THEN 'replica' WHEN 'A' THEN 'always' ELSE 'enabled' END AS enabled
+    FROM pg_event_trigger e
+    JOIN pg_proc p ON e.evtfoid = p.oid
+    JOIN pg_namespace n ON p.pronamespace = n.oid
+    ORDER BY e.evtname
   `);
   return rows;
 }
+
+/**
+ * Privileges from the catalog ACLs: one row per grantee and privilege on
+ * tables (and views), sequences, columns, functions and schemas, plus default
+ * privileges (`pg_default_acl`). An object without an ACL has its built-in
+ * default (`acldefault`), so e.g. the implicit EXECUTE to PUBLIC on functions
+ * shows up. Privileges the owner holds on its own objects are left out.
+ *
+ * Functions are named with their identity arguments like everywhere else;
+ * default privileges have `object_type` 'default', the object kind they apply
+ * to ('tables', 'functions', ...) as `object_name`, the role whose new objects
+ * they cover as `default_for_role`, and no schema when they apply to all.
+ */
+async function queryGrants(client, schemas) {
+  const { rows } = await client.query(`
+    WITH acls AS (
+      SELECT CASE WHEN c.relkind = 'S' THEN 'sequence' ELSE 'table' END AS object_type,
+             n.nspname AS object_schema, c.relname::text AS object_name, NULL::name AS column_name,
+             NULL::name AS default_for_role, c.relowner AS owner, acl.*
+      FROM pg_class c
+      JOIN pg_namespace n ON c.relnamespace = n.oid
+      CROSS JOIN LATERAL aclexplode(COALESCE(c.relacl, acldefault((CASE WHEN c.relkind = 'S' THEN 's' ELSE 'r' END)::"char", c.relowner))) acl
+      WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S') AND n.nspname = ANY($1)
+      UNION ALL
+      SELECT 'column', n.nspname, c.relname, a.attname, NULL, c.relowner, acl.*
+      FROM pg_attribute a
+      JOIN pg_class c ON a.attrelid = c.oid
+      JOIN pg_namespace n ON c.relnamespace = n.oid
+      CROSS JOIN LATERAL aclexplode(a.attacl) acl
+      WHERE a.attacl IS NOT NULL AND a.attnum > 0 AND NOT a.attisdropped AND n.nspname = ANY($1)
+      UNION ALL
+      SELECT 'function', n.nspname, p.proname || '(' || pg_get_function_identity_arguments(p.oid) || ')', NULL, NULL, p.proowner, acl.*
+      FROM pg_proc p
+      JOIN pg_namespace n ON p.pronamespace = n.oid
+      CROSS JOIN LATERAL aclexplode(COALESCE(p.proacl, acldefault('f'::"char", p.proowner))) acl
+      WHERE n.nspname = ANY($1)
+      UNION ALL
+      SELECT 'schema', n.nspname, n.nspname, NULL, NULL, n.nspowner, acl.*
+      FROM pg_namespace n
+      CROSS JOIN LATERAL aclexplode(COALESCE(n.nspacl, acldefault('n'::"char", n.nspowner))) acl
+      WHERE n.nspname = ANY($1)
+      UNION ALL
+      SELECT 'default', n.nspname,
+             CASE d.defaclobjtype
+               WHEN 'r' THEN 'tables'
+               WHEN 'S' THEN 'sequences'
+               WHEN 'f' THEN 'functions'
+               WHEN 'T' THEN 'types'
+               WHEN 'n' THEN 'schemas'
+             END,
+             NULL, pg_get_userbyid(d.defaclrole), d.defaclrole, acl.*
+      FROM pg_default_acl d
+      LEFT JOIN pg_namespace n ON d.defaclnamespace = n.oid
+      CROSS JOIN LATERAL aclexplode(d.defaclacl) acl
+      WHERE d.defaclnamespace = 0 OR n.nspname = ANY($1)
+    )
+    SELECT object_type, object_schema, object_name, column_name, default_for_role,
+           CASE WHEN grantee = 0 THEN 'PUBLIC' ELSE pg_get_userbyid(grantee) END AS grantee,
+           privilege_type, is_grantable
+    FROM acls
+    WHERE grantee <> owner
+    ORDER BY object_type, object_schema, object_name, column_name, grantee, privilege_type
+  `, [schemas]);
+  return rows;
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
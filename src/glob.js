@@ -0,0 +1,35 @@
+/**
+ * Minimal glob matching for object names: `*` matches any run of characters,
+ * `?` matches a single character. Matching is case-sensitive, like Postgres
+ * identifiers.
+ */
+export function matchGlob(pattern, value) {
+    return globToRegExp(pattern).test(value);
+}
+
+export function matchAny(patterns, value) {
+    return patterns.some(p => matchGlob(p, value));
+}
+
+/**
+ * Split a comma-separated list from a CLI flag or env var into trimmed,
+ * non-empty entries.
+ */
+export function parseList(value) {
+    if (!value || value === true) return [];
+    if (Array.isArray(value)) return value.flatMap(parseList);
+    return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+const cache = new Map();
+
+function globToRegExp(pattern) {
+    if (!cache.has(pattern)) {
+        const source = pattern
+            .split('')
+            .map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+            .join('');
+        cache.set(pattern, new RegExp(`^${source}$`));
+    }
+    return cache.get(pattern);
+}
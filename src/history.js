@@ -0,0 +1,191 @@
+import { readFileSync, writeFileSync, appendFileSync, mkdirSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { randomBytes, createHash } from 'crypto';
+import { CATEGORIES } from './diff.js';
+
+/**
+ * Comparison history: every run of the web server's comparisons, kept in a
+ * directory of JSON files so drift can be followed over time.
+ *
+ *   <dir>/runs.jsonl        one summary per line, oldest first
+ *   <dir>/runs/<id>.json    the full run: summary, stats and diff
+ *
+ * A run's `a` and `b` name its sides: the saved target, or the label for a
+ * connection string. Runs of the same sides, schemas and request ignore rules
+ * share a `series` key; a series' drift per category makes the timeline, and
+ * only runs of one series are compared with each other.
+ */
+
+export const HISTORY_FORMAT = 'schema-compare-run';
+export const HISTORY_VERSION = 1;
+
+const ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{6}$/;
+
+/**
+ * The history directory: HISTORY_DIR, by default .schema-compare-history in
+ * the working directory; null with HISTORY=false.
+ */
+export function historyDirFromEnv(env = process.env) {
+    if (env.HISTORY === 'false') return null;
+    return resolve(env.HISTORY_DIR || '.schema-compare-history');
+}
+
+/**
+ * Store a comparison. `run` is `{ user, labelA, labelB, targetA, targetB,
+ * extractOptionsA, extractOptionsB, ignore, stats, diff }`, with the target
+ * names null for connection strings and `ignore` the rules given with the
+ * request (not the ignore file's). Returns the run's summary, including its
+ * new `id`. Row values of a data comparison are not stored, only its counts,
+ * checksums and reasons.
+ */
+export function saveRun(dir, { user, labelA, labelB, targetA, targetB, extractOptionsA = {}, extractOptionsB = {}, ignore = [], stats, diff }) {
+    const timestamp = new Date().toISOString();
+    const summary = {
+        id: `${timestamp.replace(/[-:.]/g, '')}-${randomBytes(3).toString('hex')}`,
+        timestamp,
+        user: user || null,
+        a: targetA || labelA,
+        b: targetB || labelB,
+        series: seriesKey({ user, labelA, labelB, targetA, targetB, extractOptionsA, extractOptionsB, ignore }),
+        labelA, labelB,
+        targetA: targetA || null,
+        targetB: targetB || null,
+        schemas: diff.schemas || [],
+        extraIgnore: ignore.length,
+        drift: driftByCategory(stats),
+        breaking: stats.breaking, risky: stats.risky, cosmetic: stats.cosmetic,
+        ignored: stats.ignored,
+    };
+    mkdirSync(join(dir, 'runs'), { recursive: true });
+    // The full run is written first, so the index never lists a run that
+    // cannot be read
+    const record = { format: HISTORY_FORMAT, version: HISTORY_VERSION, ...summary, stats, diff: withoutRowValues(diff) };
+    writeFileSync(join(dir, 'runs', `${summary.id}.json`), JSON.stringify(record), 'utf-8');
+    appendFileSync(join(dir, 'runs.jsonl'), JSON.stringify(summary) + '\n', 'utf-8');
+    return summary;
+}
+
+/**
+ * Summaries of the stored runs, oldest first. A line left incomplete by an
+ * interrupted write is skipped.
+ */
+export function listRuns(dir) {
+    const path = join(dir, 'runs.jsonl');
+    if (!existsSync(path)) return [];
+    const runs = [];
+    for (const line of readFileSync(path, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const run = JSON.parse(line);
+            // Runs stored before series keys existed form one per pair of sides
+            run.series ??= `${run.targetA ? 'target' : 'connection'}:${run.a}\n${run.targetB ? 'target' : 'connection'}:${run.b}`;
+            runs.push(run);
+        } catch { /* partial line from a crash */ }
+    }
+    return runs;
+}
+
+/**
+ * The full run with `id`, or null when there is none.
+ */
+export function loadRun(dir, id) {
+    if (!ID_PATTERN.test(id)) return null;
+    const path = join(dir, 'runs', `${id}.json`);
+    if (!existsSync(path)) return null;
+    let record;
+    try {
+        record = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+        throw new Error(`Cannot read run ${id}: ${err.message}`);
+    }
+    if (!record || record.format !== HISTORY_FORMAT) throw new Error(`${path} is not a stored comparison`);
+    if (record.version > HISTORY_VERSION) {
+        throw new Error(`Run ${id} uses format version ${record.version}; this tool supports up to ${HISTORY_VERSION}`);
+    }
+    return record;
+}
+
+/**
+ * The run of the same series just before `run` among `runs`, or null.
+ */
+export function previousRun(runs, run) {
+    const earlier = runs.filter(r => r.series === run.series && r.timestamp < run.timestamp);
+    return earlier.length ? earlier[earlier.length - 1] : null;
+}
+
+/**
+ * What changed between two diffs of the same series: differences that
+ * `appeared`, ones that were `resolved`, and ones still there whose severity
+ * or details `changed`. Each is `{ category, side, key, severity, reason }`;
+ * changed ones also carry the earlier `previousSeverity`.
+ */
+export function driftSince(previousDiff, diff) {
+    const before = driftEntries(previousDiff);
+    const after = driftEntries(diff);
+    const appeared = [], resolved = [], changed = [];
+    for (const [id, entry] of after) {
+        const earlier = before.get(id);
+        if (!earlier) appeared.push(entry.item);
+        else if (earlier.fingerprint !== entry.fingerprint) changed.push({ ...entry.item, previousSeverity: earlier.item.severity });
+    }
+    for (const [id, entry] of before) {
+        if (!after.has(id)) resolved.push(entry.item);
+    }
+    return { appeared, resolved, changed };
+}
+
+// A saved target and a connection string with the same label, or the same
+// targets compared over other schemas or with extra ignore rules, are
+// different series; so are runs of different users against connection strings
+function seriesKey({ user, labelA, labelB, targetA, targetB, extractOptionsA, extractOptionsB, ignore }) {
+    const side = (target, label, options) => ({
+        side: target ? `target:${target}` : `connection:${label}`,
+        schemas: options.schemas || [],
+        excludeSchemas: options.excludeSchemas || [],
+    });
+    const scope = {
+        a: side(targetA, labelA, extractOptionsA),
+        b: side(targetB, labelB, extractOptionsB),
+        ignore: ignore.map(r => [r.category, r.pattern]),
+    };
+    if (!targetA || !targetB) scope.user = user || null;
+    return createHash('sha256').update(JSON.stringify(scope)).digest('hex').slice(0, 16);
+}
+
+// The diff without the rows read from small tables by `--data` (see
+// data.js), which may hold anything the databases do
+function withoutRowValues(diff) {
+    if (!diff.data) return diff;
+    return { ...diff, data: { ...diff.data, tables: diff.data.tables.map(t => ({ ...t, rows: null })) } };
+}
+
+// Number of differences per category, from the stats' severity counts
+function driftByCategory(stats) {
+    return Object.fromEntries(CATEGORIES.map(category => {
+        const counts = stats.severityByCategory[category] || {};
+        return [category, Object.values(counts).reduce((sum, n) => sum + n, 0)];
+    }));
+}
+
+// Every difference of a diff by `category:side:key`, with a fingerprint of
+// its details. Inline and line diffs are left out; they follow from the values.
+function driftEntries(diff) {
+    const entries = new Map();
+    const add = (category, side, key, entry) => {
+        entries.set(`${category}:${side}:${key}`, {
+            item: { category, side, key, severity: entry.severity, reason: entry.reason },
+            fingerprint: JSON.stringify(entry, (field, value) => (field === 'inline' || field === 'lineDiff' ? undefined : value)),
+        });
+    };
+    for (const category of CATEGORIES) {
+        const sections = category === 'columns'
+            ? Object.entries(diff.columns || {}).map(([table, d]) => [d, e => `${table}.${e.column}`])
+            : [[diff[category] || {}, e => e.key ?? e.name]];
+        for (const [section, keyOf] of sections) {
+            for (const side of ['onlyInA', 'onlyInB', 'changed']) {
+                for (const entry of section[side] || []) add(category, side, keyOf(entry), entry);
+            }
+        }
+    }
+    return entries;
+}
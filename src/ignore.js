@@ -0,0 +1,174 @@
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { CATEGORIES, splitKey, resolveCategory } from './diff.js';
+import { matchGlob, parseList } from './glob.js';
+
+export const DEFAULT_IGNORE_FILES = ['.schemacompareignore', '.schemacompareignore.json'];
+
+/**
+ * Find the ignore file in `dir` (the current directory by default), or null.
+ */
+export function findIgnoreFile(dir = process.cwd()) {
+    const found = DEFAULT_IGNORE_FILES.map(name => resolve(dir, name)).find(existsSync);
+    return found || null;
+}
+
+/**
+ * Read ignore rules from a file. Two formats are accepted:
+ *
+ *   # .schemacompareignore — one rule per line, optional reason after '#'
+ *   tables: _dev_*                 # only exists in dev
+ *   functions: pg_stat_*, pgp_*    # extension-owned
+ *   indexes: public.orders::debug_*
+ *
+ * or JSON: `[{ "category": "tables", "pattern": "_dev_*", "reason": "..." }]`,
+ * optionally wrapped as `{ "ignore": [...] }`.
+ *
+ * Returns `[{ category, pattern, reason }]`.
+ */
+export function loadIgnoreRules(path) {
+    let text;
+    try {
+        text = readFileSync(path, 'utf-8');
+    } catch (err) {
+        throw new Error(`Cannot read ignore file ${path}: ${err.message}`);
+    }
+    return parseIgnoreRules(text, path);
+}
+
+export function parseIgnoreRules(text, source = 'ignore rules') {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return parseJsonRules(trimmed, source);
+
+    const rules = [];
+    text.split('\n').forEach((raw, i) => {
+        const hash = raw.indexOf('#');
+        const line = (hash === -1 ? raw : raw.slice(0, hash)).trim();
+        const reason = hash === -1 ? null : raw.slice(hash + 1).trim() || null;
+        if (!line) return;
+        const colon = line.indexOf(':');
+        if (colon === -1) throw new Error(`${source}:${i + 1}: expected "category: pattern", got "${line}"`);
+        const category = resolveCategory(line.slice(0, colon));
+        if (!category) throw new Error(`${source}:${i + 1}: unknown category "${line.slice(0, colon).trim()}"`);
+        for (const pattern of parseList(line.slice(colon + 1))) {
+            rules.push({ category, pattern, reason });
+        }
+    });
+    return rules;
+}
+
+function parseJsonRules(text, source) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${source}: invalid JSON: ${err.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed.ignore;
+    if (!Array.isArray(list)) throw new Error(`${source}: expected an array of rules or { "ignore": [...] }`);
+    return list.map((rule, i) => {
+        const category = rule && resolveCategory(rule.category || '');
+        if (!category) throw new Error(`${source}: rule ${i + 1} has unknown category "${rule && rule.category}"`);
+        if (!rule.pattern || typeof rule.pattern !== 'string') throw new Error(`${source}: rule ${i + 1} needs a "pattern"`);
+        return { category, pattern: rule.pattern, reason: rule.reason || null };
+    });
+}
+
+// Categories whose objects belong to a table; a `tables` rule also hides
+// their entries for the matched tables.
+const TABLE_SCOPED = ['columns', 'indexes', 'foreignKeys', 'constraints', 'rowSecurity', 'policies', 'triggers'];
+
+/**
+ * Move diff entries matched by `rules` out of their category, in place.
+ * Returns the suppressed entries as `[{ category, side, key, severity, pattern, reason }]`
+ * where `side` is `onlyInA`, `onlyInB` or `changed`, `severity` is the
+ * entry's own severity and `reason` the rule's.
+ *
+ * A pattern matches a key when it matches the full schema-qualified key, the
+ * key without its schema, or the bare object name (e.g. `debug_*` matches
+ * the index `public.orders::debug_created_at`). For grants the bare name is
+ * the grantee.
+ */
+export function applyIgnoreRules(diff, rules) {
+    const ignored = [];
+    if (!rules.length) return ignored;
+
+    const take = (category, side, key, entry) => {
+        const rule = findIgnoreRule(rules, category, key);
+        if (rule) ignored.push({ category, side, key, severity: entry.severity, pattern: rule.pattern, reason: rule.reason });
+        return !!rule;
+    };
+
+    for (const category of CATEGORIES) {
+        if (category === 'columns') {
+            ignoreColumns(diff.columns, take);
+            continue;
+        }
+        const section = diff[category];
+        section.onlyInA = section.onlyInA.filter(e => !take(category, 'onlyInA', e.key, e));
+        section.onlyInB = section.onlyInB.filter(e => !take(category, 'onlyInB', e.key, e));
+        if (section.changed) {
+            section.changed = section.changed.filter(ch => !take(category, 'changed', ch.key ?? ch.name, ch));
+        }
+    }
+
+    return ignored;
+}
+
+/**
+ * The first rule that ignores the object `key` of `category`, or undefined.
+ * For table-scoped categories a `tables` rule matching the owning table counts.
+ */
+export function findIgnoreRule(rules, category, key) {
+    const own = rules.find(r => r.category === category && nameCandidates(category, key).some(n => matchGlob(r.pattern, n)));
+    if (own || !TABLE_SCOPED.includes(category)) return own;
+    const table = owningTable(category, key);
+    return rules.find(r => r.category === 'tables' && nameCandidates('tables', table).some(n => matchGlob(r.pattern, n)));
+}
+
+// Columns are nested per table; entries are matched as `schema.table.column`
+function ignoreColumns(columns, take) {
+    for (const [table, d] of Object.entries(columns)) {
+        d.onlyInA = d.onlyInA.filter(e => !take('columns', 'onlyInA', `${table}.${e.column}`, e));
+        d.onlyInB = d.onlyInB.filter(e => !take('columns', 'onlyInB', `${table}.${e.column}`, e));
+        d.changed = d.changed.filter(ch => !take('columns', 'changed', `${table}.${ch.column}`, ch));
+        if (!d.onlyInA.length && !d.onlyInB.length && !d.changed.length) delete columns[table];
+    }
+}
+
+function nameCandidates(category, key) {
+    const [, rest] = splitKey(key);
+    return [key, rest, objectName(category, rest)];
+}
+
+// The bare object name from a key with its schema removed
+function objectName(category, rest) {
+    switch (category) {
+        case 'columns':
+            return rest.slice(rest.lastIndexOf('.') + 1);
+        case 'foreignKeys':
+            return rest.slice(rest.indexOf('.') + 1);
+        case 'indexes':
+        case 'constraints':
+        case 'policies':
+        case 'triggers':
+            return rest.split('::')[1];
+        case 'functions':
+            return rest.slice(0, rest.indexOf('('));
+        case 'grants':
+            // The grantee, so `grants: anon` hides every grant to anon
+            return rest.split('::')[1];
+        default:
+            return rest;
+    }
+}
+
+// The `schema.table` key of the table a table-scoped entry belongs to
+function owningTable(category, key) {
+    if (category === 'columns') return key.slice(0, key.lastIndexOf('.'));
+    if (category === 'foreignKeys') {
+        const [schema, rest] = splitKey(key);
+        return `${schema}.${rest.slice(0, rest.indexOf('.'))}`;
+    }
+    return key.split('::')[0];
+}
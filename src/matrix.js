@@ -0,0 +1,176 @@
+import { keys, CATEGORIES, policyRoles, domainConstraints, extensionOwners } from './diff.js';
+import { columnDefinition } from './migrate.js';
+import { normalizeWhitespace } from './text-diff.js';
+import { normalizeExpression } from './sql-expr.js';
+import { findIgnoreRule } from './ignore.js';
+
+/**
+ * Compare any number of environments at once.
+ *
+ * `environments` is `[{ label, schema }]`. For every object that is not
+ * identical everywhere, the matrix records which environments have it and
+ * which variant of its definition each one has:
+ *
+ *   {
+ *     labels: ['dev', 'staging', 'prod'],
+ *     schemas: [...],
+ *     categories: {
+ *       columns: {
+ *         identical: 42,
+ *         rows: [{ key, cells: [0, 0, null], variants: ['...'], outliers: [2] }],
+ *       },
+ *       ...
+ *     },
+ *     ignored: [{ category, key, pattern, reason }],
+ *     extensionObjects: [{ category, key, extension }],
+ *   }
+ *
+ * `cells[i]` is the index into `variants` for environment i, or null when the
+ * object is missing there. `outliers` are the environments that disagree with
+ * the most common state; it is empty when there is no single most common state.
+ *
+ * `options.ignore` and `options.extensionObjects` work as for `diffSchemas`:
+ * objects that belong to an extension in any environment are left out of
+ * the grid unless `options.extensionObjects` is `'show'`.
+ */
+export function compareMany(environments, options = {}) {
+    const ignore = options.ignore || [];
+    const matrix = {
+        labels: environments.map(e => e.label),
+        schemas: [...new Set(environments.flatMap(e => e.schema.schemas || []))].sort(),
+        categories: {},
+        ignored: [],
+        extensionObjects: [],
+    };
+    const ownerOf = options.extensionObjects === 'show' ? () => undefined : extensionOwners(environments.map(e => e.schema));
+
+    for (const category of CATEGORIES) {
+        const perEnv = environments.map(e => VARIANTS[category](e.schema));
+        const allKeys = [...new Set(perEnv.flatMap(m => [...m.keys()]))].sort();
+        const section = { identical: 0, rows: [] };
+
+        for (const key of allKeys) {
+            const rule = findIgnoreRule(ignore, category, key);
+            if (rule) {
+                matrix.ignored.push({ category, key, pattern: rule.pattern, reason: rule.reason });
+                continue;
+            }
+            const extension = ownerOf(category, key);
+            if (extension) {
+                matrix.extensionObjects.push({ category, key, extension });
+                continue;
+            }
+            const row = matrixRow(key, perEnv);
+            if (row) section.rows.push(row);
+            else section.identical++;
+        }
+        matrix.categories[category] = section;
+    }
+    return matrix;
+}
+
+/**
+ * Per-category counts of drifting and identical objects, plus the number of
+ * drifting objects each environment is an outlier for.
+ */
+export function computeMatrixStats(matrix) {
+    const stats = { categories: {}, outliers: matrix.labels.map(() => 0), drifted: 0 };
+    for (const [category, section] of Object.entries(matrix.categories)) {
+        stats.categories[category] = { drifted: section.rows.length, identical: section.identical };
+        stats.drifted += section.rows.length;
+        for (const row of section.rows) row.outliers.forEach(i => stats.outliers[i]++);
+    }
+    stats.ignored = matrix.ignored.length;
+    stats.extensionObjects = (matrix.extensionObjects || []).length;
+    return stats;
+}
+
+// One row of the matrix, or null when every environment has the same variant
+function matrixRow(key, perEnv) {
+    const variants = [];
+    const comparable = [];
+    const cells = perEnv.map(map => {
+        if (!map.has(key)) return null;
+        const { id, text } = map.get(key);
+        let index = comparable.indexOf(id);
+        if (index === -1) {
+            index = comparable.push(id) - 1;
+            variants.push(text);
+        }
+        return index;
+    });
+    if (variants.length === 1 && !cells.includes(null)) return null;
+    return { key, cells, variants, outliers: outliers(cells) };
+}
+
+// Environments whose state (a variant or missing) differs from the single
+// most common state
+function outliers(cells) {
+    const counts = new Map();
+    for (const cell of cells) counts.set(cell, (counts.get(cell) || 0) + 1);
+    const sorted = [...counts].sort((x, y) => y[1] - x[1]);
+    if (sorted.length > 1 && sorted[0][1] === sorted[1][1]) return [];
+    const majority = sorted[0][0];
+    return cells.map((cell, i) => (cell === majority ? -1 : i)).filter(i => i !== -1);
+}
+
+// ---------- Variants ----------
+// For each category, a Map of key → { id, text }: `id` decides whether two
+// environments have the same variant, `text` is what the reports show.
+const same = text => ({ id: text, text });
+
+const VARIANTS = {
+    extensions: schema => new Map(schema.extensions.map(e => [keys.extension(e), same(`${e.extension_version} in schema ${e.extension_schema}`)])),
+    tables: schema => new Map(schema.tables.map(t => [keys.table(t), same(t.table_type || 'BASE TABLE')])),
+    views: schema => new Map(schema.views.map(v => {
+        const header = `${v.kind}${v.security_invoker ? ' security_invoker' : ''}${v.security_barrier ? ' security_barrier' : ''}`;
+        return [keys.view(v), { id: `${header}\n${normalizeWhitespace(v.definition)}`, text: `${header}:\n${v.definition}` }];
+    })),
+    columns: schema => new Map(schema.columns.map(c => [`${keys.column(c)}.${c.column_name}`, same(columnDefinition(c))])),
+    indexes: schema => new Map(schema.indexes.map(i => [keys.index(i), same(i.indexdef)])),
+    foreignKeys: schema => grouped(schema.foreignKeys, keys.foreignKey,
+        rows => same(`(${rows.map(r => r.column_name).join(', ')}) → ${rows[0].foreign_table_schema || ''}${rows[0].foreign_table_schema ? '.' : ''}${rows[0].foreign_table_name}(${rows.map(r => r.foreign_column_name).join(', ')})`)),
+    constraints: schema => new Map(schema.constraints.map(c => [keys.constraint(c), same(c.definition)])),
+    sequences: schema => new Map(schema.sequences.map(s => [keys.sequence(s), same(
+        `${s.data_type} INCREMENT ${s.increment_by} MINVALUE ${s.min_value} MAXVALUE ${s.max_value} START ${s.start_value} CACHE ${s.cache_size}${s.cycle ? ' CYCLE' : ''}`
+        + `${s.column_name ? ` OWNED BY ${s.table_schema}.${s.table_name}.${s.column_name}` : ''} (owner ${s.owner})`)])),
+    enums: schema => grouped(schema.enums, keys.enum, rows => same(rows.map(r => r.enum_value).join(', '))),
+    domains: schema => new Map(schema.domains.map(d => [keys.domain(d), same(
+        `${d.data_type}${d.collation_name ? ` COLLATE ${d.collation_name}` : ''}${d.default_value != null ? ` DEFAULT ${d.default_value}` : ''}${d.not_null ? ' NOT NULL' : ''}`
+        + domainConstraints(d).map(c => ` CONSTRAINT ${c.name} ${c.definition}`).join(''))])),
+    collations: schema => new Map(schema.collations.map(c => [keys.collation(c), same(
+        `provider ${c.provider}${c.locale ? ` locale ${c.locale}` : ''}${c.lc_collate ? ` lc_collate ${c.lc_collate}` : ''}${c.lc_ctype ? ` lc_ctype ${c.lc_ctype}` : ''}${c.deterministic === false ? ' nondeterministic' : ''}`)])),
+    rowSecurity: schema => new Map(schema.tables.filter(t => typeof t.rls_enabled === 'boolean').map(t => [keys.table(t),
+        same(t.rls_enabled ? `enabled${t.rls_forced ? ', forced' : ''}` : `disabled${t.rls_forced ? ' (forced)' : ''}`)])),
+    policies: schema => new Map(schema.policies.map(p => {
+        const header = `${p.permissive} FOR ${p.cmd} TO ${policyRoles(p).join(', ')}`;
+        return [keys.policy(p), {
+            id: `${header}\n${normalizeExpression(p.qual)}\n${normalizeExpression(p.with_check)}`,
+            text: header + (p.qual ? ` USING (${p.qual})` : '') + (p.with_check ? ` WITH CHECK (${p.with_check})` : ''),
+        }];
+    })),
+    functions: schema => new Map(schema.functions.map(f => {
+        const header = `RETURNS ${f.return_type} LANGUAGE ${f.language} ${f.volatility || ''}${f.security_definer ? ' SECURITY DEFINER' : ''}${f.config ? ` SET ${f.config}` : ''}`;
+        return [keys.function(f), { id: `${header}\n${normalizeWhitespace(f.definition)}`, text: f.definition || header }];
+    })),
+    triggers: schema => new Map(schema.triggers.map(t => [keys.trigger(t), same(
+        `${t.action_timing} ${t.events} FOR EACH ${t.action_orientation}${t.when_condition ? ` WHEN (${t.when_condition})` : ''} ${t.action_statement}${triggerState(t)}`)])),
+    eventTriggers: schema => new Map(schema.eventTriggers.map(t => [keys.eventTrigger(t), same(
+        `ON ${t.event}${t.tags ? ` WHEN TAG IN (${t.tags})` : ''} EXECUTE FUNCTION ${t.function_name}()${triggerState(t)}`)])),
+    grants: schema => new Map(schema.grants.map(g => [keys.grant(g), same(g.is_grantable ? 'granted WITH GRANT OPTION' : 'granted')])),
+};
+
+// A trigger that does not simply fire is marked with its state
+function triggerState(t) {
+    return t.enabled && t.enabled !== 'enabled' ? ` (${t.enabled})` : '';
+}
+
+function grouped(rows, keyFn, variantFn) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = keyFn(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+    return new Map([...groups].map(([key, group]) => [key, variantFn(group)]));
+}
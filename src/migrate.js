@@ -0,0 +1,1033 @@
+import { keys, splitKey, domainConstraints, CATEGORIES } from './diff.js';
+
+/**
+ * Generate migration SQL for both directions of a diff.
+ *   aToB — run against B to bring it in line with A
+ *   bToA — run against A to bring it in line with B
+ */
+export function generateMigrations(diff, schemaA, schemaB) {
+    return {
+        aToB: generateMigrationSql(diff, schemaA, schemaB, 'A'),
+        bToA: generateMigrationSql(diff, schemaB, schemaA, 'B'),
+    };
+}
+
+/**
+ * Build an ordered SQL script that turns `target` into `source`.
+ * `sourceSide` ('A' or 'B') says which side of the diff the source schema is.
+ *
+ * Statements are ordered so that dependencies exist before they are used:
+ * enums → extensions → default privileges → collations → domains → sequences → functions → renames →
+ * tables → columns → sequence ownership → views → constraints → indexes → foreign keys → policies →
+ * row level security → triggers → event triggers → grants, followed by every drop in reverse order.
+ * Functions come before the tables, as column defaults, checks and generated
+ * columns may call them; their bodies are not checked until they run.
+ *
+ * Confirmed renames (see `diff.renames`) are renamed in place instead of
+ * dropped and added again; possible renames are only pointed out. Objects
+ * that belong to an extension are left to CREATE / ALTER EXTENSION, also
+ * when the diff lists them (`extensionObjects: 'show'`).
+ */
+export function generateMigrationSql(fullDiff, source, target, sourceSide = 'A') {
+    const renames = directedRenames(fullDiff, sourceSide);
+    const diff = withoutExtensionObjects(withoutRenamed(fullDiff, renames));
+    const side = sourceSide === 'A'
+        ? { add: 'onlyInA', drop: 'onlyInB', valueSrc: 'A', valueTgt: 'B' }
+        : { add: 'onlyInB', drop: 'onlyInA', valueSrc: 'B', valueTgt: 'A' };
+    const labelSrc = sourceSide === 'A' ? diff.labelA : diff.labelB;
+    const labelTgt = sourceSide === 'A' ? diff.labelB : diff.labelA;
+
+    const ctx = {
+        diff, source, target, side, renames,
+        newTables: new Set(diff.tables[side.add].map(t => t.key)),
+        droppedTables: new Set(diff.tables[side.drop].map(t => t.key)),
+        droppedViews: new Set(diff.views[side.drop].map(v => v.key)),
+        // Relations that are a table on one side and a view on the other;
+        // their columns are converted by hand along with the relation
+        retypedTables: new Set(diff.tables.changed.map(t => t.key)),
+        // Policies dropped ahead of a column type change, to be recreated later
+        recreatePolicies: new Set(),
+        // Views dropped ahead of a column type change, to be recreated later
+        recreateViews: new Set(),
+        // PK, UNIQUE and EXCLUDE constraints own an index of the same name,
+        // which is created and dropped together with the constraint
+        constraintIndexes: new Set([...source.constraints, ...target.constraints]
+            .filter(c => c.constraint_type !== 'CHECK')
+            .map(keys.constraint)),
+    };
+
+    // Enum additions go first and outside the transaction: a value added with
+    // ALTER TYPE ... ADD VALUE cannot be used in the same transaction.
+    const pre = [
+        section('Enums', enumStatements(ctx)),
+    ];
+    const body = [
+        section('Extensions', extensionStatements(ctx)),
+        // Before any CREATE, so new objects get the source's default privileges
+        section('Default Privileges', grantStatements(ctx, true)),
+        section('Collations', collationStatements(ctx)),
+        section('Domains', domainStatements(ctx)),
+        section('Sequences', sequenceStatements(ctx)),
+        section('Functions', functionStatements(ctx)),
+        section('Renames', renameStatements(ctx)),
+        section('Tables', tableStatements(ctx)),
+        section('Columns', columnStatements(ctx)),
+        // Once the tables and columns exist
+        section('Sequence Ownership', sequenceOwnershipStatements(ctx)),
+        section('Views', viewStatements(ctx)),
+        section('Constraints', constraintStatements(ctx)),
+        section('Indexes', indexStatements(ctx)),
+        section('Foreign Keys', foreignKeyStatements(ctx)),
+        section('RLS Policies', policyStatements(ctx)),
+        section('Row Level Security', rowSecurityStatements(ctx)),
+        section('Triggers', triggerStatements(ctx)),
+        section('Event Triggers', eventTriggerStatements(ctx)),
+        section('Grants', grantStatements(ctx, false)),
+        section('Drops', dropStatements(ctx)),
+    ];
+
+    const header = [
+        `-- Schema migration: ${labelTgt} → ${labelSrc}`,
+        `-- Run against ${labelTgt} to bring it in line with ${labelSrc}.`,
+        `-- Generated by schema-compare · ${new Date().toISOString()}`,
+        '',
+    ];
+
+    if (![...pre, ...body].some(Boolean)) {
+        return [...header, '-- No changes required.', ''].join('\n');
+    }
+
+    return [
+        ...header,
+        ...pre.filter(Boolean),
+        'BEGIN;',
+        '',
+        ...body.filter(Boolean),
+        'COMMIT;',
+        '',
+    ].join('\n');
+}
+
+// ---------- Enums ----------
+function enumStatements({ diff, source, target, side }) {
+    const out = [];
+    const valuesOf = (schema, name) => schema.enums.filter(e => keys.enum(e) === name).map(e => e.enum_value);
+
+    for (const { key: name } of diff.enums[side.add]) {
+        const values = valuesOf(source, name).map(literal).join(', ');
+        out.push(`CREATE TYPE ${qname(name)} AS ENUM (${values});`);
+    }
+
+    for (const ch of diff.enums.changed) {
+        const srcValues = valuesOf(source, ch.name);
+        const tgtValues = new Set(valuesOf(target, ch.name));
+        // Values are added in source order, so the previous value always exists
+        // by the time it is referenced; a leading value goes before the first
+        // value the target already has.
+        srcValues.forEach((value, i) => {
+            if (tgtValues.has(value)) return;
+            const next = srcValues.slice(i + 1).find(v => tgtValues.has(v));
+            const position = i > 0 ? ` AFTER ${literal(srcValues[i - 1])}` : next ? ` BEFORE ${literal(next)}` : '';
+            out.push(`ALTER TYPE ${qname(ch.name)} ADD VALUE IF NOT EXISTS ${literal(value)}${position};`);
+        });
+        for (const value of tgtValues) {
+            if (!srcValues.includes(value)) {
+                out.push(`-- Enum value ${literal(value)} of ${qname(ch.name)} has no equivalent; Postgres cannot drop enum values.`);
+            }
+        }
+    }
+    return out;
+}
+
+// ---------- Extensions ----------
+// Extensions are often kept in a schema of their own (e.g. `extensions`),
+// which is created first when the target does not have it among its schemas
+function extensionStatements({ diff, target, side }) {
+    const out = [];
+    const schemas = new Set(target.schemas || []);
+    const inSchema = schema => {
+        if (!schemas.has(schema)) out.push(`CREATE SCHEMA IF NOT EXISTS ${ident(schema)};`);
+        schemas.add(schema);
+        return ident(schema);
+    };
+    for (const e of diff.extensions[side.add]) {
+        out.push(`CREATE EXTENSION IF NOT EXISTS ${ident(e.key)} WITH SCHEMA ${inSchema(e.schema)} VERSION ${literal(e.version)};`);
+    }
+    for (const ch of diff.extensions.changed) {
+        for (const df of ch.differences) {
+            const value = df['value' + side.valueSrc];
+            if (df.field === 'extension_version') out.push(`ALTER EXTENSION ${ident(ch.key)} UPDATE TO ${literal(value)};`);
+            else out.push(`ALTER EXTENSION ${ident(ch.key)} SET SCHEMA ${inSchema(value)};`);
+        }
+    }
+    return out;
+}
+
+// The diff without the entries tagged as belonging to an extension
+function withoutExtensionObjects(diff) {
+    const own = e => !e.extension;
+    const result = { ...diff, columns: {} };
+    for (const category of CATEGORIES) {
+        if (category === 'columns') continue;
+        result[category] = { ...diff[category], onlyInA: diff[category].onlyInA.filter(own), onlyInB: diff[category].onlyInB.filter(own) };
+        if (diff[category].changed) result[category].changed = diff[category].changed.filter(own);
+    }
+    for (const [table, d] of Object.entries(diff.columns)) {
+        result.columns[table] = { ...d, onlyInA: d.onlyInA.filter(own), onlyInB: d.onlyInB.filter(own), changed: d.changed.filter(own) };
+    }
+    return result;
+}
+
+// ---------- Collations ----------
+// A collation cannot be altered; a changed one is only pointed out
+function collationStatements({ diff, source, side }) {
+    const collations = new Map(source.collations.map(c => [keys.collation(c), c]));
+    const out = [];
+    for (const { key } of diff.collations[side.add]) {
+        out.push(createCollation(collations.get(key)));
+    }
+    for (const ch of diff.collations.changed) {
+        out.push(`-- Collation ${qname(ch.key)} differs (${ch.differences.map(df => df.field).join(', ')}) and cannot be altered; ` +
+            'recreate it by hand and REINDEX the indexes that use it.');
+    }
+    return out;
+}
+
+function createCollation(c) {
+    const options = [`provider = ${c.provider}`];
+    if (c.locale) options.push(`locale = ${literal(c.locale)}`);
+    if (c.lc_collate) options.push(`lc_collate = ${literal(c.lc_collate)}`);
+    if (c.lc_ctype) options.push(`lc_ctype = ${literal(c.lc_ctype)}`);
+    if (c.deterministic === false) options.push('deterministic = false');
+    return `CREATE COLLATION IF NOT EXISTS ${qualified(c.collation_schema, c.collation_name)} (${options.join(', ')});`;
+}
+
+// ---------- Domains ----------
+function domainStatements({ diff, source, target, side }) {
+    const srcDomains = new Map(source.domains.map(d => [keys.domain(d), d]));
+    const tgtDomains = new Map(target.domains.map(d => [keys.domain(d), d]));
+    const out = [];
+    for (const { key } of diff.domains[side.add]) {
+        out.push(createDomain(srcDomains.get(key)));
+    }
+    for (const ch of diff.domains.changed) {
+        const src = srcDomains.get(ch.key), tgt = tgtDomains.get(ch.key);
+        const name = qname(ch.key);
+        const fields = ch.differences.map(df => df.field);
+        if (fields.includes('data_type') || fields.includes('collation_name')) {
+            out.push(`-- Domain ${name}: the base type or collation differs and cannot be altered; migrate it by hand.`);
+        }
+        if (fields.includes('default_value')) {
+            out.push(src.default_value == null ? `ALTER DOMAIN ${name} DROP DEFAULT;` : `ALTER DOMAIN ${name} SET DEFAULT ${src.default_value};`);
+        }
+        if (fields.includes('not_null')) out.push(`ALTER DOMAIN ${name} ${src.not_null ? 'SET' : 'DROP'} NOT NULL;`);
+        if (fields.includes('constraints')) {
+            const srcChecks = domainConstraints(src), tgtChecks = domainConstraints(tgt);
+            const same = (x, y) => x.name === y.name && x.definition === y.definition;
+            for (const c of tgtChecks.filter(c => !srcChecks.some(s => same(s, c)))) {
+                out.push(`ALTER DOMAIN ${name} DROP CONSTRAINT IF EXISTS ${ident(c.name)};`);
+            }
+            for (const c of srcChecks.filter(c => !tgtChecks.some(t => same(t, c)))) {
+                out.push(`ALTER DOMAIN ${name} ADD CONSTRAINT ${ident(c.name)} ${c.definition};`);
+            }
+        }
+    }
+    return out;
+}
+
+function createDomain(d) {
+    let sql = `CREATE DOMAIN ${qualified(d.domain_schema, d.domain_name)} AS ${d.data_type}`;
+    if (d.collation_name) sql += ` COLLATE ${ident(d.collation_name)}`;
+    if (d.default_value != null) sql += ` DEFAULT ${d.default_value}`;
+    if (d.not_null) sql += ' NOT NULL';
+    for (const c of domainConstraints(d)) sql += ` CONSTRAINT ${ident(c.name)} ${c.definition}`;
+    return sql + ';';
+}
+
+// ---------- Sequences ----------
+// Sequences are created without their owning column, which may not exist
+// yet; see sequenceOwnershipStatements. Identity sequences come and go with
+// their column. Sequences that `nextval()` defaults of new columns use but
+// the source schema does not list (snapshots taken before sequences were
+// extracted) are created with default settings.
+function sequenceStatements(ctx) {
+    const { diff, source, target, side, newTables } = ctx;
+    const srcSequences = new Map(source.sequences.map(s => [keys.sequence(s), s]));
+    const tgtSequences = new Map(target.sequences.map(s => [keys.sequence(s), s]));
+    const out = [];
+
+    for (const { key } of diff.sequences[side.add]) {
+        const seq = srcSequences.get(key);
+        if (!seq.identity) out.push(`CREATE SEQUENCE IF NOT EXISTS ${qname(key)}${sequenceOptions(seq, SEQUENCE_OPTIONS.map(o => o.field))};`);
+    }
+    for (const ch of diff.sequences.changed) {
+        const seq = srcSequences.get(ch.key);
+        const fields = ch.differences.map(df => df.field);
+        const options = sequenceOptions(seq, fields);
+        if (options) out.push(`ALTER SEQUENCE ${qname(ch.key)}${options};`);
+        if (fields.includes('owner') && seq.owner) out.push(`ALTER SEQUENCE ${qname(ch.key)} OWNER TO ${ident(seq.owner)};`);
+    }
+
+    const needed = new Set();
+    const addedColumns = [
+        ...source.columns.filter(c => newTables.has(keys.column(c))),
+        ...columnsToAdd(ctx),
+    ];
+    for (const col of addedColumns) {
+        const match = /nextval\('([^']+)'(?:::regclass)?\)/.exec(col.column_default || '');
+        if (!match) continue;
+        const name = match[1].replace(/"/g, '');
+        const key = name.includes('.') ? name : `${col.table_schema}.${name}`;
+        if (!srcSequences.has(key) && !tgtSequences.has(key)) needed.add(match[1]);
+    }
+    out.push(...[...needed].sort().map(seq => `CREATE SEQUENCE IF NOT EXISTS ${seq};`));
+    return out;
+}
+
+const SEQUENCE_OPTIONS = [
+    { field: 'data_type', sql: s => `AS ${s.data_type}` },
+    { field: 'increment_by', sql: s => `INCREMENT BY ${s.increment_by}` },
+    { field: 'min_value', sql: s => `MINVALUE ${s.min_value}` },
+    { field: 'max_value', sql: s => `MAXVALUE ${s.max_value}` },
+    { field: 'start_value', sql: s => `START WITH ${s.start_value}` },
+    { field: 'cache_size', sql: s => `CACHE ${s.cache_size}` },
+    { field: 'cycle', sql: s => (s.cycle ? 'CYCLE' : 'NO CYCLE') },
+];
+
+// The options of `seq` for the given fields, as used by CREATE and ALTER SEQUENCE
+function sequenceOptions(seq, fields) {
+    return SEQUENCE_OPTIONS.filter(o => fields.includes(o.field)).map(o => ` ${o.sql(seq)}`).join('');
+}
+
+function sequenceOwnershipStatements({ diff, source, side }) {
+    const srcSequences = new Map(source.sequences.map(s => [keys.sequence(s), s]));
+    const changedOwner = diff.sequences.changed.filter(ch => ch.differences.some(df => df.field === 'owned_by'));
+    const out = [];
+    for (const { key } of [...diff.sequences[side.add], ...changedOwner]) {
+        const seq = srcSequences.get(key);
+        if (seq.identity) continue;
+        const owner = seq.column_name ? `${qualified(seq.table_schema, seq.table_name)}.${ident(seq.column_name)}` : 'NONE';
+        if (owner !== 'NONE' || changedOwner.some(ch => ch.key === key)) out.push(`ALTER SEQUENCE ${qname(key)} OWNED BY ${owner};`);
+    }
+    return out;
+}
+
+// ---------- Renames ----------
+// Renames as `{ category, from, to, ... }` where `from` is the target's name
+// and `to` the source's, split into confirmed and possible ones
+function directedRenames(diff, sourceSide) {
+    const directed = (diff.renames || []).map(r => (sourceSide === 'A' ? { ...r, from: r.to, to: r.from } : r));
+    return {
+        confirmed: directed.filter(r => r.status === 'confirmed'),
+        possible: directed.filter(r => r.status !== 'confirmed'),
+    };
+}
+
+// The diff without the only-in entries a confirmed rename takes care of: the
+// renamed tables and columns, and the indexes, constraints, foreign keys,
+// policies, triggers and grants that move along with a renamed table.
+function withoutRenamed(diff, { confirmed }) {
+    if (!confirmed.length) return diff;
+    const moved = new Set(confirmed.flatMap(r => [r.from, r.to]));
+    const movesAlong = (category, key) => {
+        if (category === 'tables') return moved.has(key);
+        const owner = category === 'foreignKeys' ? key.slice(0, key.lastIndexOf('.')) : key.split('::')[0];
+        return moved.has(owner) || (category === 'grants' && moved.has(owner.slice(0, owner.lastIndexOf('.'))));
+    };
+
+    const result = { ...diff, columns: {} };
+    for (const category of ['tables', 'indexes', 'foreignKeys', 'constraints', 'policies', 'triggers', 'grants']) {
+        result[category] = {
+            ...diff[category],
+            onlyInA: diff[category].onlyInA.filter(e => !movesAlong(category, e.key)),
+            onlyInB: diff[category].onlyInB.filter(e => !movesAlong(category, e.key)),
+        };
+    }
+    for (const [table, d] of Object.entries(diff.columns)) {
+        if (moved.has(table)) continue;
+        result.columns[table] = {
+            ...d,
+            onlyInA: d.onlyInA.filter(e => !moved.has(`${table}.${e.column}`)),
+            onlyInB: d.onlyInB.filter(e => !moved.has(`${table}.${e.column}`)),
+        };
+    }
+    return result;
+}
+
+function renameStatements(ctx) {
+    const { source, target, renames } = ctx;
+    const out = [];
+    for (const r of renames.confirmed) {
+        if (r.category === 'tables') {
+            out.push(`ALTER TABLE ${qname(r.from)} RENAME TO ${ident(splitKey(r.to)[1])};`);
+            out.push(`-- ${qname(r.to)} keeps its columns, indexes, constraints, policies, triggers and grants as they are; compare again once this has run.`);
+            continue;
+        }
+        const [table, from] = splitColumnKey(r.from);
+        const [, to] = splitColumnKey(r.to);
+        const src = source.columns.find(c => keys.column(c) === table && c.column_name === to);
+        const tgt = target.columns.find(c => keys.column(c) === table && c.column_name === from);
+        const fields = (r.differences || []).map(df => df.field);
+        if (changesType(fields)) out.push(...dropDependentPolicies(ctx, table, from), ...dropDependentViews(ctx, table, from));
+        out.push(`ALTER TABLE ${qname(table)} RENAME COLUMN ${ident(from)} TO ${ident(to)};`);
+        out.push(...alterColumn(src, tgt, fields));
+    }
+    for (const r of renames.possible) {
+        out.push(`-- Possible rename (${Math.round(r.confidence * 100)}%): ${renamedName(r.category, r.from)} → ${renamedName(r.category, r.to)}; ` +
+            'it is dropped and added below. Confirm it in .schemacomparerenames to rename it instead.');
+    }
+    return out;
+}
+
+// `schema.table.column` → [`schema.table`, `column`]
+function splitColumnKey(key) {
+    const dot = key.lastIndexOf('.');
+    return [key.slice(0, dot), key.slice(dot + 1)];
+}
+
+function renamedName(category, key) {
+    if (category === 'tables') return qname(key);
+    const [table, column] = splitColumnKey(key);
+    return `${qname(table)}.${ident(column)}`;
+}
+
+// ---------- Tables ----------
+function tableStatements({ diff, source, side, newTables }) {
+    const out = [];
+    for (const ch of diff.tables.changed) {
+        const from = ch['type' + side.valueTgt], to = ch['type' + side.valueSrc];
+        out.push(`-- ${qname(ch.key)} is a ${from.toLowerCase()} but should be a ${to.toLowerCase()}; convert it by hand.`);
+    }
+    for (const name of [...newTables].sort()) {
+        const table = source.tables.find(t => keys.table(t) === name);
+        if (table && table.table_type !== 'BASE TABLE') {
+            out.push(`-- ${qname(name)} is a ${table.table_type.toLowerCase()}; its definition is not captured and must be created by hand.`);
+            continue;
+        }
+        const cols = source.columns.filter(c => keys.column(c) === name);
+        const lines = cols.map(c => `    ${columnDefinition(c)}`);
+        out.push(`CREATE TABLE ${qname(name)} (\n${lines.join(',\n')}\n);`);
+    }
+    return out;
+}
+
+// ---------- Columns ----------
+function columnStatements(ctx) {
+    const { diff, source, target, newTables, droppedTables, retypedTables } = ctx;
+    const out = [];
+
+    for (const col of columnsToAdd(ctx)) {
+        out.push(`ALTER TABLE ${tableName(col)} ADD COLUMN ${columnDefinition(col)};`);
+    }
+
+    for (const [table, d] of Object.entries(diff.columns)) {
+        if (newTables.has(table) || droppedTables.has(table) || retypedTables.has(table)) continue;
+        for (const ch of d.changed) {
+            const src = source.columns.find(c => keys.column(c) === table && c.column_name === ch.column);
+            const tgt = target.columns.find(c => keys.column(c) === table && c.column_name === ch.column);
+            const fields = ch.differences.map(df => df.field);
+            if (changesType(fields)) out.push(...dropDependentPolicies(ctx, table, ch.column), ...dropDependentViews(ctx, table, ch.column));
+            out.push(...alterColumn(src, tgt, fields));
+        }
+    }
+    return out;
+}
+
+function columnsToAdd({ diff, source, side, newTables, retypedTables }) {
+    const cols = [];
+    for (const [table, d] of Object.entries(diff.columns)) {
+        if (newTables.has(table) || retypedTables.has(table)) continue;
+        for (const { column: name } of d[side.add]) {
+            cols.push(source.columns.find(c => keys.column(c) === table && c.column_name === name));
+        }
+    }
+    return cols.filter(Boolean);
+}
+
+// Fields changed through ALTER COLUMN ... TYPE (the collation included)
+const TYPE_FIELDS = [
+    'data_type', 'udt_name', 'character_maximum_length', 'numeric_precision', 'numeric_scale',
+    'domain_schema', 'domain_name', 'collation_name',
+];
+
+function changesType(fields) {
+    return fields.some(f => TYPE_FIELDS.includes(f));
+}
+
+// Postgres refuses to change the type of a column referenced by a policy, so
+// such policies are dropped first and recreated in the policies phase.
+function dropDependentPolicies(ctx, table, column) {
+    const pattern = new RegExp(`\\b${column.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+    const out = [];
+    for (const p of ctx.target.policies) {
+        const key = keys.policy(p);
+        if (`${p.schemaname}.${p.tablename}` !== table || ctx.recreatePolicies.has(key)) continue;
+        if (!pattern.test(p.qual || '') && !pattern.test(p.with_check || '')) continue;
+        ctx.recreatePolicies.add(key);
+        out.push(dropPolicy(p));
+    }
+    return out;
+}
+
+// Likewise for views: a view selecting the column is dropped first and
+// recreated in the views phase. Views are matched on the table and column
+// names appearing in their query.
+function dropDependentViews(ctx, table, column) {
+    const [, tableOnly] = splitKey(table);
+    const mentions = (sql, name) => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(sql || '');
+    const out = [];
+    for (const v of ctx.target.views) {
+        const key = keys.view(v);
+        if (ctx.recreateViews.has(key) || !mentions(v.definition, tableOnly) || !mentions(v.definition, column)) continue;
+        ctx.recreateViews.add(key);
+        out.push(dropView(v));
+    }
+    return out;
+}
+
+function alterColumn(src, tgt, fields) {
+    const out = [];
+    const prefix = `ALTER TABLE ${tableName(src)} ALTER COLUMN ${ident(src.column_name)}`;
+
+    if (fields.some(f => ['is_identity', 'identity_generation', 'is_generated', 'generation_expression'].includes(f))) {
+        out.push(`-- ${tableName(src)}.${ident(src.column_name)}: identity/generated settings differ and must be migrated by hand.`);
+    }
+    if (changesType(fields)) {
+        const type = columnType(src);
+        const collation = src.collation_name || fields.includes('collation_name') ? ` COLLATE ${columnCollation(src)}` : '';
+        out.push(`${prefix} TYPE ${type}${collation} USING ${ident(src.column_name)}::${type};`);
+    }
+    if (fields.includes('column_default') && src.is_identity !== 'YES') {
+        out.push(src.column_default == null
+            ? `${prefix} DROP DEFAULT;`
+            : `${prefix} SET DEFAULT ${src.column_default};`);
+    }
+    if (fields.includes('is_nullable') && tgt) {
+        out.push(src.is_nullable === 'NO' ? `${prefix} SET NOT NULL;` : `${prefix} DROP NOT NULL;`);
+    }
+    return out;
+}
+
+// Column definition as used in CREATE TABLE / ADD COLUMN (also shown in the
+// N-way matrix)
+export function columnDefinition(col) {
+    let def = `${ident(col.column_name)} ${columnType(col)}`;
+    if (col.collation_name) def += ` COLLATE ${columnCollation(col)}`;
+    if (col.is_identity === 'YES') {
+        def += ` GENERATED ${col.identity_generation || 'BY DEFAULT'} AS IDENTITY`;
+    } else if (col.is_generated === 'ALWAYS' && col.generation_expression) {
+        def += ` GENERATED ALWAYS AS (${col.generation_expression}) STORED`;
+    } else if (col.column_default != null) {
+        def += ` DEFAULT ${col.column_default}`;
+    }
+    if (col.is_nullable === 'NO') def += ' NOT NULL';
+    return def;
+}
+
+function columnType(col) {
+    if (col.domain_name) return qualified(col.domain_schema, col.domain_name);
+    switch (col.data_type) {
+        case 'USER-DEFINED':
+            return col.udt_schema ? qualified(col.udt_schema, col.udt_name) : ident(col.udt_name);
+        case 'ARRAY': {
+            const base = col.udt_name.replace(/^_/, '');
+            return `${col.udt_schema && col.udt_schema !== 'pg_catalog' ? qualified(col.udt_schema, base) : base}[]`;
+        }
+        case 'character varying':
+            return col.character_maximum_length ? `varchar(${col.character_maximum_length})` : 'varchar';
+        case 'character':
+            return `char(${col.character_maximum_length || 1})`;
+        case 'numeric':
+            return col.numeric_precision != null && col.numeric_scale != null
+                ? `numeric(${col.numeric_precision}, ${col.numeric_scale})`
+                : 'numeric';
+        default:
+            return col.data_type;
+    }
+}
+
+// The column's collation, or the default one when it has none of its own
+function columnCollation(col) {
+    return col.collation_name ? qualified(col.collation_schema, col.collation_name) : '"default"';
+}
+
+// ---------- Functions ----------
+function functionStatements({ diff, source, target, side }) {
+    const srcFunctions = new Map(source.functions.map(f => [keys.function(f), f]));
+    const tgtFunctions = new Map(target.functions.map(f => [keys.function(f), f]));
+    const out = [];
+    for (const { key } of diff.functions[side.add]) {
+        out.push(createFunction(srcFunctions.get(key)));
+    }
+    for (const ch of diff.functions.changed) {
+        const src = srcFunctions.get(ch.key);
+        const tgt = tgtFunctions.get(ch.key);
+        // CREATE OR REPLACE cannot change the return type, kind, argument
+        // names or defaults — those need a drop first.
+        if (src.return_type !== tgt.return_type || src.kind !== tgt.kind || src.arguments !== tgt.arguments) {
+            out.push(dropFunction(tgt));
+        }
+        out.push(createFunction(src));
+    }
+    // SQL function bodies are otherwise checked on CREATE, and may use tables
+    // created further down
+    if (out.length) out.unshift('SET LOCAL check_function_bodies = off;');
+    return out;
+}
+
+function createFunction(f) {
+    if (!f.definition) {
+        return `-- ${f.kind} ${qualified(f.function_schema, f.function_name)}(${f.arguments}) has no captured definition; create it by hand.`;
+    }
+    return `${f.definition.trim()};`;
+}
+
+function dropFunction(f) {
+    const kind = f.kind === 'procedure' ? 'PROCEDURE' : f.kind === 'aggregate' ? 'AGGREGATE' : 'FUNCTION';
+    return `DROP ${kind} IF EXISTS ${qualified(f.function_schema, f.function_name)}(${f.identity_arguments ?? f.arguments});`;
+}
+
+// ---------- Views ----------
+// Plain views are replaced in place. A materialized view cannot be replaced,
+// so it is dropped and recreated together with its indexes; indexes the
+// index phase creates anyway are left to it.
+function viewStatements({ diff, source, target, side, recreateViews }) {
+    const srcViews = new Map(source.views.map(v => [keys.view(v), v]));
+    const tgtViews = new Map(target.views.map(v => [keys.view(v), v]));
+    const indexedLater = new Set([...diff.indexes[side.add], ...diff.indexes.changed].map(i => i.key));
+    const out = [];
+    const recreate = src => {
+        out.push(createView(src));
+        if (src.kind !== 'materialized view') return;
+        for (const idx of source.indexes) {
+            const key = keys.index(idx);
+            if (`${idx.schemaname}.${idx.tablename}` === keys.view(src) && !indexedLater.has(key)) out.push(`${idx.indexdef};`);
+        }
+    };
+
+    for (const { key } of diff.views[side.add]) {
+        out.push(createView(srcViews.get(key)));
+    }
+    for (const ch of diff.views.changed) {
+        const src = srcViews.get(ch.key);
+        const tgt = tgtViews.get(ch.key);
+        if (src.kind === 'view' && tgt.kind === 'view') {
+            out.push(createView(src));
+        } else {
+            if (!recreateViews.has(ch.key)) out.push(dropView(tgt));
+            recreate(src);
+        }
+    }
+    const changed = new Set(diff.views.changed.map(ch => ch.key));
+    for (const key of recreateViews) {
+        if (!changed.has(key) && srcViews.has(key)) recreate(srcViews.get(key));
+    }
+    return out;
+}
+
+function createView(v) {
+    const name = qualified(v.view_schema, v.view_name);
+    if (!v.definition) return `-- ${v.kind} ${name} has no captured definition; create it by hand.`;
+    const query = v.definition.trim().replace(/;$/, '');
+    if (v.kind === 'materialized view') return `CREATE MATERIALIZED VIEW ${name} AS\n${query};`;
+    const options = [v.security_invoker && 'security_invoker = true', v.security_barrier && 'security_barrier = true'].filter(Boolean);
+    return `CREATE OR REPLACE VIEW ${name}${options.length ? ` WITH (${options.join(', ')})` : ''} AS\n${query};`;
+}
+
+function dropView(v) {
+    return `DROP ${v.kind === 'materialized view' ? 'MATERIALIZED VIEW' : 'VIEW'} IF EXISTS ${qualified(v.view_schema, v.view_name)};`;
+}
+
+// ---------- Constraints ----------
+function constraintStatements({ diff, source, side }) {
+    const constraints = new Map(source.constraints.map(c => [keys.constraint(c), c]));
+    const out = [];
+    for (const ch of diff.constraints.changed) {
+        const c = constraints.get(ch.key);
+        out.push(`ALTER TABLE ${tableName(c)} DROP CONSTRAINT IF EXISTS ${ident(c.constraint_name)};`);
+        out.push(addConstraint(c));
+    }
+    for (const { key } of diff.constraints[side.add]) {
+        out.push(addConstraint(constraints.get(key)));
+    }
+    return out;
+}
+
+function addConstraint(c) {
+    return `ALTER TABLE ${tableName(c)} ADD CONSTRAINT ${ident(c.constraint_name)} ${c.definition};`;
+}
+
+// ---------- Indexes ----------
+function indexStatements({ diff, source, side, constraintIndexes }) {
+    const defs = new Map(source.indexes.map(i => [keys.index(i), i]));
+    const out = [];
+    for (const { key } of diff.indexes[side.add]) {
+        if (constraintIndexes.has(key)) continue;
+        out.push(`${defs.get(key).indexdef};`);
+    }
+    for (const ch of diff.indexes.changed) {
+        if (constraintIndexes.has(ch.key)) continue;
+        const idx = defs.get(ch.key);
+        out.push(`DROP INDEX IF EXISTS ${qualified(idx.schemaname, idx.indexname)};`);
+        out.push(`${ch['def' + side.valueSrc]};`);
+    }
+    return out;
+}
+
+// ---------- Foreign Keys ----------
+function foreignKeyStatements({ diff, source, side }) {
+    const groups = groupForeignKeys(source.foreignKeys);
+    const out = [];
+    for (const ch of diff.foreignKeys.changed) {
+        const fk = groups.get(ch.key);
+        out.push(`ALTER TABLE ${fk.table} DROP CONSTRAINT IF EXISTS ${ident(fk.name)};`);
+        out.push(addForeignKey(fk));
+    }
+    for (const { key } of diff.foreignKeys[side.add]) {
+        out.push(addForeignKey(groups.get(key)));
+    }
+    return out;
+}
+
+function groupForeignKeys(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = keys.foreignKey(row);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                tableKey: `${row.table_schema}.${row.table_name}`,
+                table: qualified(row.table_schema, row.table_name),
+                name: row.constraint_name,
+                columns: [],
+                foreignTable: qualified(row.foreign_table_schema, row.foreign_table_name),
+                foreignColumns: [],
+            });
+        }
+        const g = groups.get(key);
+        if (!g.columns.includes(row.column_name)) g.columns.push(row.column_name);
+        if (!g.foreignColumns.includes(row.foreign_column_name)) g.foreignColumns.push(row.foreign_column_name);
+    }
+    return groups;
+}
+
+function addForeignKey(fk) {
+    return `ALTER TABLE ${fk.table} ADD CONSTRAINT ${ident(fk.name)} FOREIGN KEY (${fk.columns.map(ident).join(', ')}) ` +
+        `REFERENCES ${fk.foreignTable} (${fk.foreignColumns.map(ident).join(', ')});`;
+}
+
+// ---------- RLS Policies ----------
+function policyStatements({ diff, source, side, recreatePolicies }) {
+    const policies = new Map(source.policies.map(p => [keys.policy(p), p]));
+    const out = [];
+    for (const ch of diff.policies.changed) {
+        const p = policies.get(ch.key);
+        if (!recreatePolicies.has(ch.key)) out.push(dropPolicy(p));
+        out.push(createPolicy(p));
+    }
+    const changed = new Set(diff.policies.changed.map(ch => ch.key));
+    for (const key of recreatePolicies) {
+        if (!changed.has(key) && policies.has(key)) out.push(createPolicy(policies.get(key)));
+    }
+    for (const { key } of diff.policies[side.add]) {
+        out.push(createPolicy(policies.get(key)));
+    }
+    return out;
+}
+
+function dropPolicy(p) {
+    return `DROP POLICY IF EXISTS ${ident(p.policyname)} ON ${qualified(p.schemaname, p.tablename)};`;
+}
+
+function createPolicy(p) {
+    const roles = parseArray(p.roles).map(r => (r === 'public' ? 'PUBLIC' : ident(r)));
+    let sql = `CREATE POLICY ${ident(p.policyname)} ON ${qualified(p.schemaname, p.tablename)} AS ${p.permissive} FOR ${p.cmd} TO ${roles.join(', ')}`;
+    if (p.qual) sql += ` USING (${p.qual})`;
+    if (p.with_check) sql += ` WITH CHECK (${p.with_check})`;
+    return sql + ';';
+}
+
+// ---------- Row Level Security ----------
+// After the policies, so enabling RLS never leaves a table without its
+// policies; new tables get the source's flags too.
+function rowSecurityStatements({ diff, source, side, newTables }) {
+    const out = [];
+    for (const ch of diff.rowSecurity.changed) {
+        const name = qname(ch.key);
+        const enabled = ch['enabled' + side.valueSrc], forced = ch['forced' + side.valueSrc];
+        if (enabled !== ch['enabled' + side.valueTgt]) out.push(`ALTER TABLE ${name} ${enabled ? 'ENABLE' : 'DISABLE'} ROW LEVEL SECURITY;`);
+        if (forced !== ch['forced' + side.valueTgt]) out.push(`ALTER TABLE ${name} ${forced ? 'FORCE' : 'NO FORCE'} ROW LEVEL SECURITY;`);
+    }
+    for (const t of source.tables.filter(t => newTables.has(keys.table(t)) && t.table_type === 'BASE TABLE')) {
+        if (t.rls_enabled) out.push(`ALTER TABLE ${qname(keys.table(t))} ENABLE ROW LEVEL SECURITY;`);
+        if (t.rls_forced) out.push(`ALTER TABLE ${qname(keys.table(t))} FORCE ROW LEVEL SECURITY;`);
+    }
+    return out;
+}
+
+// ---------- Triggers ----------
+// A changed trigger is dropped and created again, unless only whether it
+// fires differs; that is switched in place. Either way it ends up in the
+// source's state (enabled, disabled, replica or always).
+function triggerStatements({ diff, source, side }) {
+    const triggers = new Map(source.triggers.map(t => [keys.trigger(t), t]));
+    const out = [];
+    for (const { key } of diff.triggers[side.add]) {
+        out.push(...createTrigger(triggers.get(key)));
+    }
+    for (const ch of diff.triggers.changed) {
+        const t = triggers.get(ch.key);
+        if (ch.differences.some(df => df.field !== 'enabled')) {
+            out.push(`DROP TRIGGER IF EXISTS ${ident(t.trigger_name)} ON ${qname(triggerTable(t))};`, ...createTrigger(t));
+        } else {
+            out.push(`ALTER TABLE ${qname(triggerTable(t))} ${TRIGGER_STATES[t.enabled]} TRIGGER ${ident(t.trigger_name)};`);
+        }
+    }
+    return out;
+}
+
+const TRIGGER_STATES = { enabled: 'ENABLE', disabled: 'DISABLE', replica: 'ENABLE REPLICA', always: 'ENABLE ALWAYS' };
+
+// Snapshots taken from information_schema have no definition; it is put
+// together from the trigger's parts instead
+function createTrigger(t) {
+    const table = qname(triggerTable(t));
+    const out = [t.definition
+        ? `${t.definition};`
+        : `CREATE TRIGGER ${ident(t.trigger_name)} ${t.action_timing} ${t.events} ON ${table} FOR EACH ${t.action_orientation}${t.when_condition ? ` WHEN (${t.when_condition})` : ''} ${t.action_statement};`];
+    if (TRIGGER_STATES[t.enabled] && t.enabled !== 'enabled') out.push(`ALTER TABLE ${table} ${TRIGGER_STATES[t.enabled]} TRIGGER ${ident(t.trigger_name)};`);
+    return out;
+}
+
+function triggerTable(t) {
+    return `${t.event_object_schema}.${t.event_object_table}`;
+}
+
+// ---------- Event Triggers ----------
+function eventTriggerStatements({ diff, source, side }) {
+    const eventTriggers = new Map(source.eventTriggers.map(t => [keys.eventTrigger(t), t]));
+    const out = [];
+    for (const { key } of diff.eventTriggers[side.add]) {
+        out.push(...createEventTrigger(eventTriggers.get(key)));
+    }
+    for (const ch of diff.eventTriggers.changed) {
+        const t = eventTriggers.get(ch.key);
+        if (ch.differences.some(df => df.field !== 'enabled')) {
+            out.push(`DROP EVENT TRIGGER IF EXISTS ${ident(t.trigger_name)};`, ...createEventTrigger(t));
+        } else {
+            out.push(`ALTER EVENT TRIGGER ${ident(t.trigger_name)} ${TRIGGER_STATES[t.enabled]};`);
+        }
+    }
+    return out;
+}
+
+function createEventTrigger(t) {
+    const tags = t.tags ? ` WHEN TAG IN (${t.tags.split(', ').map(literal).join(', ')})` : '';
+    const out = [`CREATE EVENT TRIGGER ${ident(t.trigger_name)} ON ${t.event}${tags} EXECUTE FUNCTION ${qname(t.function_name)}();`];
+    if (t.enabled !== 'enabled') out.push(`ALTER EVENT TRIGGER ${ident(t.trigger_name)} ${TRIGGER_STATES[t.enabled]};`);
+    return out;
+}
+
+// ---------- Grants ----------
+// Default privileges (`defaults` true) or grants on existing objects. Grants
+// run after every object exists; revokes are skipped for objects the drops
+// phase removes anyway.
+function grantStatements({ diff, source, target, side, droppedTables, droppedViews }, defaults) {
+    const srcGrants = new Map(source.grants.map(g => [keys.grant(g), g]));
+    const tgtGrants = new Map(target.grants.map(g => [keys.grant(g), g]));
+    const droppedFunctions = new Set(diff.functions[side.drop].map(f => f.key));
+    const wanted = ({ key }) => ((srcGrants.get(key) || tgtGrants.get(key)).object_type === 'default') === defaults;
+    const dropped = g => (g.object_type === 'function'
+        ? droppedFunctions.has(`${g.object_schema}.${g.object_name}`)
+        : droppedTables.has(`${g.object_schema}.${g.object_name}`) || droppedViews.has(`${g.object_schema}.${g.object_name}`));
+
+    const out = [];
+    for (const { key } of diff.grants[side.add].filter(wanted)) {
+        out.push(grantStatement(srcGrants.get(key)));
+    }
+    for (const { key } of diff.grants.changed.filter(wanted)) {
+        const g = srcGrants.get(key);
+        out.push(g.is_grantable ? grantStatement(g) : revokeStatement(g, true));
+    }
+    for (const { key } of diff.grants[side.drop].filter(wanted)) {
+        const g = tgtGrants.get(key);
+        if (!dropped(g)) out.push(revokeStatement(g));
+    }
+    return out;
+}
+
+function grantStatement(g) {
+    const sql = `GRANT ${grantPrivilege(g)} ON ${grantTarget(g)} TO ${grantee(g)}${g.is_grantable ? ' WITH GRANT OPTION' : ''};`;
+    return g.object_type === 'default' ? `${defaultPrivilegesPrefix(g)} ${sql}` : sql;
+}
+
+function revokeStatement(g, grantOptionOnly = false) {
+    const sql = `REVOKE ${grantOptionOnly ? 'GRANT OPTION FOR ' : ''}${grantPrivilege(g)} ON ${grantTarget(g)} FROM ${grantee(g)};`;
+    return g.object_type === 'default' ? `${defaultPrivilegesPrefix(g)} ${sql}` : sql;
+}
+
+function grantPrivilege(g) {
+    return g.object_type === 'column' ? `${g.privilege_type} (${ident(g.column_name)})` : g.privilege_type;
+}
+
+function grantTarget(g) {
+    switch (g.object_type) {
+        case 'column':
+        case 'table': return `TABLE ${qualified(g.object_schema, g.object_name)}`;
+        case 'sequence': return `SEQUENCE ${qualified(g.object_schema, g.object_name)}`;
+        case 'schema': return `SCHEMA ${ident(g.object_schema)}`;
+        case 'default': return g.object_name.toUpperCase();
+        case 'function': {
+            const paren = g.object_name.indexOf('(');
+            return `ROUTINE ${qualified(g.object_schema, g.object_name.slice(0, paren))}${g.object_name.slice(paren)}`;
+        }
+        default: return `${g.object_type.toUpperCase()} ${qualified(g.object_schema, g.object_name)}`;
+    }
+}
+
+function defaultPrivilegesPrefix(g) {
+    return `ALTER DEFAULT PRIVILEGES FOR ROLE ${ident(g.default_for_role)}${g.object_schema ? ` IN SCHEMA ${ident(g.object_schema)}` : ''}`;
+}
+
+function grantee(g) {
+    return g.grantee === 'PUBLIC' ? 'PUBLIC' : ident(g.grantee);
+}
+
+// ---------- Drops ----------
+function dropStatements(ctx) {
+    const { diff, target, side, droppedTables } = ctx;
+    const out = [];
+
+    const triggers = new Map(target.triggers.map(t => [keys.trigger(t), t]));
+    for (const { key } of diff.triggers[side.drop]) {
+        const t = triggers.get(key);
+        if (droppedTables.has(triggerTable(t))) continue;
+        out.push(`DROP TRIGGER IF EXISTS ${ident(t.trigger_name)} ON ${qname(triggerTable(t))};`);
+    }
+
+    // Before the functions they call
+    for (const { key } of diff.eventTriggers[side.drop]) {
+        out.push(`DROP EVENT TRIGGER IF EXISTS ${ident(key)};`);
+    }
+
+    // Views go before the columns, tables and functions they select from
+    const views = new Map(target.views.map(v => [keys.view(v), v]));
+    for (const { key } of diff.views[side.drop]) {
+        out.push(dropView(views.get(key)));
+    }
+
+    const policies = new Map(target.policies.map(p => [keys.policy(p), p]));
+    for (const { key } of diff.policies[side.drop]) {
+        const p = policies.get(key);
+        if (droppedTables.has(`${p.schemaname}.${p.tablename}`)) continue;
+        out.push(dropPolicy(p));
+    }
+
+    const fks = groupForeignKeys(target.foreignKeys);
+    for (const { key } of diff.foreignKeys[side.drop]) {
+        const fk = fks.get(key);
+        if (droppedTables.has(fk.tableKey)) continue;
+        out.push(`ALTER TABLE ${fk.table} DROP CONSTRAINT IF EXISTS ${ident(fk.name)};`);
+    }
+
+    const constraints = new Map(target.constraints.map(c => [keys.constraint(c), c]));
+    for (const { key } of diff.constraints[side.drop]) {
+        const c = constraints.get(key);
+        if (droppedTables.has(keys.column(c))) continue;
+        out.push(`ALTER TABLE ${tableName(c)} DROP CONSTRAINT IF EXISTS ${ident(c.constraint_name)};`);
+    }
+
+    const indexes = new Map(target.indexes.map(i => [keys.index(i), i]));
+    for (const { key } of diff.indexes[side.drop]) {
+        const idx = indexes.get(key);
+        const owner = `${idx.schemaname}.${idx.tablename}`;
+        if (droppedTables.has(owner) || ctx.droppedViews.has(owner) || ctx.constraintIndexes.has(key)) continue;
+        out.push(`DROP INDEX IF EXISTS ${qualified(idx.schemaname, idx.indexname)};`);
+    }
+
+    for (const [table, d] of Object.entries(diff.columns)) {
+        if (droppedTables.has(table) || ctx.newTables.has(table) || ctx.retypedTables.has(table)) continue;
+        for (const { column: name } of d[side.drop]) {
+            out.push(`ALTER TABLE ${qname(table)} DROP COLUMN IF EXISTS ${ident(name)};`);
+        }
+    }
+
+    for (const name of [...droppedTables].sort()) {
+        out.push(`DROP TABLE IF EXISTS ${qname(name)};`);
+    }
+
+    // After the tables and columns, whose triggers, policies, defaults and
+    // checks may call them; before the types in their signatures
+    const functions = new Map(target.functions.map(f => [keys.function(f), f]));
+    for (const { key } of diff.functions[side.drop]) {
+        out.push(dropFunction(functions.get(key)));
+    }
+
+    // Owned sequences (identity ones included) go with their table or column
+    const sequences = new Map(target.sequences.map(s => [keys.sequence(s), s]));
+    for (const { key } of diff.sequences[side.drop]) {
+        if (!sequences.get(key).column_name) out.push(`DROP SEQUENCE IF EXISTS ${qname(key)};`);
+    }
+
+    for (const { key } of diff.domains[side.drop]) {
+        out.push(`DROP DOMAIN IF EXISTS ${qname(key)};`);
+    }
+
+    for (const { key: name } of diff.enums[side.drop]) {
+        out.push(`DROP TYPE IF EXISTS ${qname(name)};`);
+    }
+
+    for (const { key } of diff.collations[side.drop]) {
+        out.push(`DROP COLLATION IF EXISTS ${qname(key)};`);
+    }
+
+    // Last, as our own objects may use what the extension provides
+    for (const { key } of diff.extensions[side.drop]) {
+        out.push(`DROP EXTENSION IF EXISTS ${ident(key)};`);
+    }
+
+    return out.length ? ['-- Review carefully: the statements below remove objects and data.', ...out] : out;
+}
+
+// ---------- Helpers ----------
+function section(title, statements) {
+    if (!statements.length) return '';
+    return `-- ── ${title} ──\n${statements.join('\n')}\n`;
+}
+
+const RESERVED = new Set([
+    'all', 'and', 'any', 'array', 'as', 'asc', 'between', 'both', 'case', 'cast', 'check', 'collate', 'column',
+    'constraint', 'create', 'current_date', 'current_time', 'current_user', 'default', 'desc', 'distinct', 'do',
+    'else', 'end', 'except', 'false', 'for', 'foreign', 'from', 'grant', 'group', 'having', 'in', 'into', 'is',
+    'join', 'leading', 'limit', 'not', 'null', 'offset', 'on', 'only', 'or', 'order', 'primary', 'references',
+    'select', 'session_user', 'some', 'table', 'then', 'to', 'trailing', 'true', 'union', 'unique', 'user',
+    'using', 'when', 'where', 'window', 'with',
+]);
+
+function ident(name) {
+    if (/^[a-z_][a-z0-9_$]*$/.test(name) && !RESERVED.has(name)) return name;
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function qualified(schema, name) {
+    return schema ? `${ident(schema)}.${ident(name)}` : ident(name);
+}
+
+// Quote a schema-qualified diff key such as `public.users`
+function qname(key) {
+    const [schema, name] = splitKey(key);
+    return qualified(schema, name);
+}
+
+function tableName(col) {
+    return qualified(col.table_schema, col.table_name);
+}
+
+function literal(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function parseArray(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return [];
+    return value.replace(/^\{|\}$/g, '').split(',').map(s => s.replace(/^"|"$/g, '')).filter(Boolean);
+}
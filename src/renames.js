@@ -0,0 +1,105 @@
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { splitKey, resolveCategory } from './diff.js';
+
+export const DEFAULT_RENAME_FILES = ['.schemacomparerenames', '.schemacomparerenames.json'];
+
+// Renames are detected for these categories only
+export const RENAME_CATEGORIES = ['tables', 'columns'];
+
+/**
+ * Find the renames file in `dir` (the current directory by default), or null.
+ */
+export function findRenameFile(dir = process.cwd()) {
+    const found = DEFAULT_RENAME_FILES.map(name => resolve(dir, name)).find(existsSync);
+    return found || null;
+}
+
+/**
+ * Read rename pairings from a file. Two formats are accepted:
+ *
+ *   # .schemacomparerenames — one pairing per line, optional reason after '#'
+ *   tables: public.accounts -> users
+ *   columns: public.users.mail -> email
+ *   !columns: public.users.notes -> bio     # different data, not a rename
+ *
+ * A leading `!` rejects the pairing. Both sides may be written as the full
+ * key, the key without its schema, or the bare table or column name.
+ *
+ * or JSON: `[{ "category": "columns", "from": "...", "to": "...", "status": "confirmed" | "rejected", "reason": "..." }]`,
+ * optionally wrapped as `{ "renames": [...] }`.
+ *
+ * Returns `[{ category, from, to, confirmed, reason }]`.
+ */
+export function loadRenameRules(path) {
+    let text;
+    try {
+        text = readFileSync(path, 'utf-8');
+    } catch (err) {
+        throw new Error(`Cannot read renames file ${path}: ${err.message}`);
+    }
+    return parseRenameRules(text, path);
+}
+
+export function parseRenameRules(text, source = 'rename rules') {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return parseJsonRules(trimmed, source);
+
+    const rules = [];
+    text.split('\n').forEach((raw, i) => {
+        const hash = raw.indexOf('#');
+        let line = (hash === -1 ? raw : raw.slice(0, hash)).trim();
+        const reason = hash === -1 ? null : raw.slice(hash + 1).trim() || null;
+        if (!line) return;
+        const confirmed = !line.startsWith('!');
+        if (!confirmed) line = line.slice(1).trim();
+        const match = /^([^:]+):\s*(\S+)\s*->\s*(\S+)$/.exec(line);
+        if (!match) throw new Error(`${source}:${i + 1}: expected "category: from -> to", got "${line}"`);
+        const category = renameCategory(match[1]);
+        if (!category) throw new Error(`${source}:${i + 1}: renames are detected for ${RENAME_CATEGORIES.join(' and ')}, not "${match[1].trim()}"`);
+        rules.push({ category, from: match[2], to: match[3], confirmed, reason });
+    });
+    return rules;
+}
+
+function parseJsonRules(text, source) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${source}: invalid JSON: ${err.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed.renames;
+    if (!Array.isArray(list)) throw new Error(`${source}: expected an array of pairings or { "renames": [...] }`);
+    return list.map((rule, i) => {
+        const category = rule && renameCategory(rule.category || '');
+        if (!category) throw new Error(`${source}: pairing ${i + 1} has category "${rule && rule.category}"; use ${RENAME_CATEGORIES.join(' or ')}`);
+        if (!rule.from || !rule.to) throw new Error(`${source}: pairing ${i + 1} needs "from" and "to"`);
+        const status = rule.status || 'confirmed';
+        if (status !== 'confirmed' && status !== 'rejected') {
+            throw new Error(`${source}: pairing ${i + 1} has status "${status}"; use confirmed or rejected`);
+        }
+        return { category, from: rule.from, to: rule.to, confirmed: status === 'confirmed', reason: rule.reason || null };
+    });
+}
+
+function renameCategory(name) {
+    const category = resolveCategory(name);
+    return RENAME_CATEGORIES.includes(category) ? category : null;
+}
+
+/**
+ * The rule that confirms or rejects renaming `from` (only in A) to `to`
+ * (only in B), or undefined.
+ */
+export function findRenameRule(rules, category, from, to) {
+    return rules.find(r => r.category === category
+        && nameCandidates(category, from).includes(r.from)
+        && nameCandidates(category, to).includes(r.to));
+}
+
+// The full key, the key without its schema, and the bare table or column name
+function nameCandidates(category, key) {
+    const [, rest] = splitKey(key);
+    return [key, rest, category === 'columns' ? rest.slice(rest.lastIndexOf('.') + 1) : rest];
+}
@@ -1,5 +1,10 @@
 import { writeFileSync } from 'fs';
 import { computeStats } from './report-terminal.js';
+import { groupBySchema, splitKey } from './diff.js';
+import { collapseUnchanged } from './text-diff.js';
+import { compareSeverity } from './severity.js';
+import { computeMatrixStats } from './matrix.js';
+import { formatBytes, formatCount } from './data.js';
 
 /**
  * Generate a self-contained HTML report and save it to disk.
@@ -20,56 +25,7 @@ function buildHtml(diff, stats) {
 <meta name="viewport" content="width=device-width, initial-scale=1.0">
 <title>Schema Comparison: ${esc(labelA)} vs ${esc(labelB)}</title>
 <style>
-  :root {
-    --bg: #0d1117; --surface: #161b22; --border: #30363d;
-    --text: #e6edf3; --text-dim: #8b949e; --accent: #58a6ff;
-    --green: #3fb950; --blue: #58a6ff; --yellow: #d29922;
-    --red: #f85149; --magenta: #bc8cff; --cyan: #39d2c0;
-  }
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body { font-family: 'Inter', 'Segoe UI', system-ui, sans-serif; background: var(--bg); color: var(--text); line-height: 1.6; padding: 2rem; }
-  .container { max-width: 1100px; margin: 0 auto; }
-  h1 { font-size: 1.75rem; margin-bottom: 0.5rem; background: linear-gradient(135deg, var(--cyan), var(--accent)); -webkit-background-clip: text; -webkit-text-fill-color: transparent; }
-  .subtitle { color: var(--text-dim); margin-bottom: 2rem; font-size: 0.95rem; }
-  .labels { display: flex; gap: 2rem; margin-bottom: 2rem; }
-  .label-badge { padding: 0.5rem 1rem; border-radius: 8px; font-weight: 600; font-size: 0.9rem; }
-  .label-a { background: rgba(188, 140, 255, 0.15); border: 1px solid var(--magenta); color: var(--magenta); }
-  .label-b { background: rgba(88, 166, 255, 0.15); border: 1px solid var(--blue); color: var(--blue); }
-
-  .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; margin-bottom: 2rem; }
-  .stat-card { background: var(--surface); border: 1px solid var(--border); border-radius: 12px; padding: 1rem 1.25rem; }
-  .stat-card h3 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; color: var(--text-dim); margin-bottom: 0.5rem; }
-  .stat-row { display: flex; gap: 0.75rem; font-size: 0.85rem; flex-wrap: wrap; }
-  .stat-row span { padding: 2px 8px; border-radius: 6px; font-weight: 600; }
-  .s-a { background: rgba(63, 185, 80, 0.15); color: var(--green); }
-  .s-b { background: rgba(88, 166, 255, 0.15); color: var(--blue); }
-  .s-c { background: rgba(210, 153, 34, 0.15); color: var(--yellow); }
-  .s-n { background: rgba(139, 148, 158, 0.1); color: var(--text-dim); }
-
-  .section { margin-bottom: 2rem; }
-  .section-header { font-size: 1.1rem; font-weight: 700; padding: 0.75rem 0; border-bottom: 2px solid var(--border); margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem; cursor: pointer; user-select: none; }
-  .section-header::before { content: '▸'; transition: transform 0.2s; }
-  .section-header.open::before { transform: rotate(90deg); }
-  .section-body { display: none; }
-  .section-body.open { display: block; }
-
-  .diff-group { margin-bottom: 1rem; }
-  .diff-group-title { font-weight: 600; font-size: 0.95rem; margin-bottom: 0.5rem; color: var(--accent); }
-  .diff-item { padding: 0.35rem 0.75rem; font-family: 'JetBrains Mono', 'Fira Code', monospace; font-size: 0.82rem; border-radius: 6px; margin-bottom: 2px; }
-  .diff-a { background: rgba(63, 185, 80, 0.1); color: var(--green); border-left: 3px solid var(--green); }
-  .diff-b { background: rgba(88, 166, 255, 0.1); color: var(--blue); border-left: 3px solid var(--blue); }
-  .diff-c { background: rgba(210, 153, 34, 0.08); color: var(--yellow); border-left: 3px solid var(--yellow); }
-
-  table.col-diff { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.82rem; }
-  table.col-diff th { text-align: left; padding: 0.4rem 0.75rem; background: var(--surface); border: 1px solid var(--border); color: var(--text-dim); font-weight: 600; }
-  table.col-diff td { padding: 0.4rem 0.75rem; border: 1px solid var(--border); font-family: 'JetBrains Mono', monospace; }
-  .val-a { color: var(--magenta); }
-  .val-b { color: var(--cyan); }
-
-  .empty-state { color: var(--text-dim); font-style: italic; padding: 1rem; text-align: center; }
-  .timestamp { text-align: center; color: var(--text-dim); font-size: 0.8rem; margin-top: 2rem; padding-top: 1rem; border-top: 1px solid var(--border); }
-
-  @media (max-width: 600px) { body { padding: 1rem; } .labels { flex-direction: column; gap: 0.5rem; } }
+${STYLES}
 </style>
 </head>
 <body>
@@ -80,47 +36,152 @@ function buildHtml(diff, stats) {
     <span class="label-badge label-a">A: ${esc(labelA)}</span>
     <span class="label-badge label-b">B: ${esc(labelB)}</span>
   </div>
+  ${diff.schemas && diff.schemas.length ? `<p class="subtitle">Schemas: ${diff.schemas.map(esc).join(', ')}</p>` : ''}
 
   ${renderStats(stats)}
+  ${renderExtensionsSection(diff.extensions, labelA, labelB)}
   ${renderTablesSection(diff, labelA, labelB)}
+  ${renderSimpleSection('Views', diff.views, labelA, labelB)}
   ${renderColumnsSection(diff, labelA, labelB)}
+  ${renderRenamesSection(diff.renames || [])}
   ${renderSimpleSection('Indexes', diff.indexes, labelA, labelB)}
   ${renderSimpleSection('Foreign Keys', diff.foreignKeys, labelA, labelB)}
+  ${renderSimpleSection('Constraints', diff.constraints, labelA, labelB)}
+  ${renderSequencesSection(diff, labelA, labelB)}
   ${renderEnumsSection(diff, labelA, labelB)}
+  ${renderSimpleSection('Domains', diff.domains, labelA, labelB)}
+  ${renderSimpleSection('Collations', diff.collations, labelA, labelB)}
+  ${renderRowSecuritySection(diff, labelA, labelB)}
   ${renderSimpleSection('RLS Policies', diff.policies, labelA, labelB)}
   ${renderSimpleSection('Functions', diff.functions, labelA, labelB)}
   ${renderSimpleSection('Triggers', diff.triggers, labelA, labelB)}
+  ${renderSimpleSection('Event Triggers', diff.eventTriggers, labelA, labelB)}
+  ${renderGrantsSection(diff.grants, labelA, labelB)}
+  ${diff.data ? renderDataSection(diff.data, labelA, labelB) : ''}
+  ${renderIgnoredSection(diff.ignored || [])}
+  ${renderExtensionObjectsSection(diff.extensionObjects || [])}
 
   <div class="timestamp">schema-compare tool · ${new Date().toISOString()}</div>
 </div>
 <script>
-document.querySelectorAll('.section-header').forEach(h => {
-  h.addEventListener('click', () => {
-    h.classList.toggle('open');
-    h.nextElementSibling.classList.toggle('open');
-  });
-  // Auto-open sections with content
-  const body = h.nextElementSibling;
-  if (body && body.innerHTML.trim() && !body.querySelector('.empty-state')) {
-    h.classList.add('open');
-    body.classList.add('open');
-  }
-});
+${SECTION_SCRIPT}
 </script>
 </body>
 </html>`;
 }
 
+// ── N-way matrix ──
+
+/**
+ * Generate the HTML report for a `compareMany` matrix: one grid per category
+ * with a column per environment, outliers highlighted.
+ */
+export function generateMatrixHtmlReport(matrix, outputPath) {
+    const stats = computeMatrixStats(matrix);
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Schema Matrix: ${matrix.labels.map(esc).join(' · ')}</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>Schema Comparison Matrix</h1>
+  <p class="subtitle">Generated ${new Date().toLocaleString()}</p>
+  <div class="labels">
+    ${matrix.labels.map((label, i) => `<span class="label-badge label-b">${i + 1}: ${esc(label)}</span>`).join('\n    ')}
+  </div>
+  ${matrix.schemas.length ? `<p class="subtitle">Schemas: ${matrix.schemas.map(esc).join(', ')}</p>` : ''}
+
+  <div class="stats-grid">
+    <div class="stat-card"><h3>Outliers</h3><div class="stat-row">
+      ${matrix.labels.map((label, i) => `<span class="${stats.outliers[i] ? 'sev-breaking' : 's-n'}">${esc(label)}: ${stats.outliers[i]}</span>`).join('')}
+    </div></div>
+    ${Object.entries(stats.categories).map(([category, counts]) => `<div class="stat-card"><h3>${esc(category)}</h3><div class="stat-row">
+      ${counts.drifted ? `<span class="s-c">Δ ${counts.drifted}</span>` : ''}<span class="s-n">= ${counts.identical}</span>
+    </div></div>`).join('\n    ')}
+    ${stats.ignored ? `<div class="stat-card"><h3>Ignored</h3><div class="stat-row"><span class="s-n">${stats.ignored} suppressed</span></div></div>` : ''}
+    ${stats.extensionObjects ? `<div class="stat-card"><h3>Extension Objects</h3><div class="stat-row"><span class="s-n">${stats.extensionObjects} hidden</span></div></div>` : ''}
+  </div>
+
+  ${Object.entries(matrix.categories).map(([category, section]) => renderMatrixSection(category, section, matrix.labels)).join('\n  ')}
+  ${renderIgnoredSection(matrix.ignored)}
+
+  <div class="timestamp">schema-compare tool · ${new Date().toISOString()}</div>
+</div>
+<script>
+${SECTION_SCRIPT}
+</script>
+</body>
+</html>`;
+    writeFileSync(outputPath, html, 'utf-8');
+    return outputPath;
+}
+
+function renderMatrixSection(category, section, labels) {
+    const body = section.rows.length
+        ? `<table class="matrix">
+      <tr><th>Object</th>${labels.map(l => `<th>${esc(l)}</th>`).join('')}</tr>
+      ${section.rows.map(row => `<tr>
+        <td><details><summary>${esc(row.key)}</summary>${row.variants.map((text, v) => `<div class="variant"><b>${variantLetter(v)}</b> ${esc(text)}</div>`).join('')}</details></td>
+        ${row.cells.map((cell, i) => {
+            const cls = row.outliers.includes(i) ? 'cell-outlier' : cell === null ? 'cell-missing' : 'cell-same';
+            return `<td class="cell ${cls}">${cell === null ? '—' : variantLetter(cell)}</td>`;
+        }).join('')}
+      </tr>`).join('\n      ')}
+    </table>`
+        : `<div class="empty-state">Identical in every environment (${section.identical})</div>`;
+    return `<div class="section">
+    <div class="section-header">${esc(category)} (${section.rows.length})</div>
+    <div class="section-body">${body}</div>
+  </div>`;
+}
+
+function variantLetter(index) {
+    return String.fromCharCode(65 + (index % 26)) + (index >= 26 ? Math.floor(index / 26) : '');
+}
+
 function renderStats(s) {
     return `<div class="stats-grid">
-    ${statCard('Tables', s.tablesOnlyA, s.tablesOnlyB, 0, s.tablesCommon)}
+    <div class="stat-card"><h3>Severity</h3><div class="stat-row">
+      <span class="sev-breaking">${s.breaking} breaking</span><span class="sev-risky">${s.risky} risky</span><span class="sev-cosmetic">${s.cosmetic} cosmetic</span>
+    </div></div>
+    ${statCard('Extensions', s.extensionsOnlyA, s.extensionsOnlyB, s.extensionsChanged)}
+    ${statCard('Tables', s.tablesOnlyA, s.tablesOnlyB, s.tablesChanged, s.tablesCommon)}
+    ${statCard('Views', s.viewsOnlyA, s.viewsOnlyB, s.viewsChanged)}
     ${statCard('Columns', s.columnsOnlyA, s.columnsOnlyB, s.columnsChanged)}
     ${statCard('Indexes', s.indexesOnlyA, s.indexesOnlyB, s.indexesChanged)}
     ${statCard('Foreign Keys', s.fksOnlyA, s.fksOnlyB, s.fksChanged)}
+    ${statCard('Constraints', s.constraintsOnlyA, s.constraintsOnlyB, s.constraintsChanged)}
+    <div class="stat-card"><h3>Sequences</h3><div class="stat-row">
+      <span class="s-a">A: ${s.sequencesOnlyA}</span><span class="s-b">B: ${s.sequencesOnlyB}</span>
+      ${s.sequencesChanged ? `<span class="s-c">Δ ${s.sequencesChanged}</span>` : ''}
+      ${s.sequenceWarnings ? `<span class="sev-breaking">⚠ ${s.sequenceWarnings} behind</span>` : ''}
+    </div></div>
     ${statCard('Enums', s.enumsOnlyA, s.enumsOnlyB, s.enumsChanged)}
+    ${statCard('Domains', s.domainsOnlyA, s.domainsOnlyB, s.domainsChanged)}
+    ${statCard('Collations', s.collationsOnlyA, s.collationsOnlyB, s.collationsChanged)}
+    <div class="stat-card"><h3>Row Level Security</h3><div class="stat-row">
+      ${s.rowSecurityChanged ? `<span class="s-c">Δ ${s.rowSecurityChanged}</span>` : '<span class="s-n">Δ 0</span>'}
+      ${s.rlsWarnings ? `<span class="sev-breaking">⚠ ${s.rlsWarnings} unprotected</span>` : ''}
+    </div></div>
     ${statCard('RLS Policies', s.policiesOnlyA, s.policiesOnlyB, s.policiesChanged)}
     ${statCard('Functions', s.functionsOnlyA, s.functionsOnlyB, s.functionsChanged)}
     ${statCard('Triggers', s.triggersOnlyA, s.triggersOnlyB, s.triggersChanged)}
+    ${statCard('Event Triggers', s.eventTriggersOnlyA, s.eventTriggersOnlyB, s.eventTriggersChanged)}
+    ${statCard('Grants', s.grantsOnlyA, s.grantsOnlyB, s.grantsChanged)}
+    ${s.renamesPossible || s.renamesConfirmed ? `<div class="stat-card"><h3>Renames</h3><div class="stat-row">
+      <span class="s-c">${s.renamesPossible} possible</span><span class="s-a">${s.renamesConfirmed} confirmed</span>
+    </div></div>` : ''}
+    ${s.dataDiverged || s.dataMatching || s.dataNotCompared ? `<div class="stat-card"><h3>Data</h3><div class="stat-row">
+      ${s.dataDiverged ? `<span class="sev-breaking">≠ ${s.dataDiverged} diverged</span>` : '<span class="s-n">≠ 0</span>'}<span class="s-n">= ${s.dataMatching}</span>${s.dataNotCompared ? `<span class="s-c">? ${s.dataNotCompared} not compared</span>` : ''}
+    </div></div>` : ''}
+    ${s.ignored ? `<div class="stat-card"><h3>Ignored</h3><div class="stat-row"><span class="s-n">${s.ignored} suppressed</span></div></div>` : ''}
+    ${s.extensionObjects ? `<div class="stat-card"><h3>Extension Objects</h3><div class="stat-row"><span class="s-n">${s.extensionObjects} hidden</span></div></div>` : ''}
   </div>`;
 }
 
@@ -132,15 +193,33 @@ function statCard(title, a, b, changed, shared) {
   </div></div>`;
 }
 
+// Extensions are installed once per database, so they are not grouped by schema
+function renderExtensionsSection(extensions, labelA, labelB) {
+    const { onlyInA, onlyInB, changed } = extensions;
+    const hasContent = onlyInA.length || onlyInB.length || changed.length;
+    const describe = e => `+ ${e.key} ${e.version} (schema ${e.schema})`;
+    return `<div class="section">
+    <div class="section-header">Extensions</div>
+    <div class="section-body">
+      ${!hasContent ? '<div class="empty-state">All extensions are identical</div>' : ''}
+      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A (${esc(labelA)})</div>${bySeverity(onlyInA).map(e => diffItem('a', describe(e), e)).join('')}</div>` : ''}
+      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B (${esc(labelB)})</div>${bySeverity(onlyInB).map(e => diffItem('b', describe(e), e)).join('')}</div>` : ''}
+      ${changed.length ? `<div class="diff-group"><div class="diff-group-title">Changed</div>${bySeverity(changed).map(ch =>
+        `${diffItem('c', `~ ${ch.key}`, ch)}${renderFieldDifferences(ch.differences, labelA, labelB)}`).join('')}</div>` : ''}
+    </div>
+  </div>`;
+}
+
 function renderTablesSection(diff, labelA, labelB) {
-    const { onlyInA, onlyInB } = diff.tables;
-    const hasContent = onlyInA.length || onlyInB.length;
+    const { onlyInA, onlyInB, changed } = diff.tables;
+    const hasContent = onlyInA.length || onlyInB.length || changed.length;
     return `<div class="section">
     <div class="section-header">Tables</div>
     <div class="section-body">
       ${!hasContent ? '<div class="empty-state">All tables are identical</div>' : ''}
-      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A (${esc(labelA)})</div>${onlyInA.map(t => `<div class="diff-item diff-a">+ ${esc(t)}</div>`).join('')}</div>` : ''}
-      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B (${esc(labelB)})</div>${onlyInB.map(t => `<div class="diff-item diff-b">+ ${esc(t)}</div>`).join('')}</div>` : ''}
+      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A (${esc(labelA)})</div>${renderBySchema(onlyInA, (t, e) => diffItem('a', `+ ${t}`, e))}</div>` : ''}
+      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B (${esc(labelB)})</div>${renderBySchema(onlyInB, (t, e) => diffItem('b', `+ ${t}`, e))}</div>` : ''}
+      ${changed.length ? `<div class="diff-group"><div class="diff-group-title">Changed type</div>${renderBySchema(changed, (t, ch) => diffItem('c', `~ ${t}: ${ch.typeA} → ${ch.typeB}`, ch))}</div>` : ''}
     </div>
   </div>`;
 }
@@ -151,18 +230,19 @@ function renderColumnsSection(diff, labelA, labelB) {
     <div class="section-header">Column Differences</div>
     <div class="section-body">
       ${!tables.length ? '<div class="empty-state">All columns are identical</div>' : ''}
-      ${tables.map(table => {
+      ${[...groupBySchema(tables)].map(([schema, schemaTables]) => `<div class="schema-block"><div class="schema-label">${esc(schema)}</div>
+      ${schemaTables.map(table => {
         const d = diff.columns[table];
-        return `<div class="diff-group"><div class="diff-group-title">${esc(table)}</div>
-          ${d.onlyInA.map(c => `<div class="diff-item diff-a">+ [A only] ${esc(c)}</div>`).join('')}
-          ${d.onlyInB.map(c => `<div class="diff-item diff-b">+ [B only] ${esc(c)}</div>`).join('')}
-          ${d.changed.length ? `<table class="col-diff"><tr><th>Column</th><th>Property</th><th>A</th><th>B</th></tr>
-            ${d.changed.map(ch => ch.differences.map(df =>
-            `<tr><td>${esc(ch.column)}</td><td>${esc(df.field)}</td><td class="val-a">${esc(String(df.valueA))}</td><td class="val-b">${esc(String(df.valueB))}</td></tr>`
+        return `<div class="diff-group"><div class="diff-group-title">${esc(splitKey(table)[1])}</div>
+          ${bySeverity(d.onlyInA, e => e.column).map(e => diffItem('a', `+ [A only] ${e.column}`, e)).join('')}
+          ${bySeverity(d.onlyInB, e => e.column).map(e => diffItem('b', `+ [B only] ${e.column}`, e)).join('')}
+          ${d.changed.length ? `<table class="col-diff"><tr><th>Column</th><th>Severity</th><th>Property</th><th>A</th><th>B</th></tr>
+            ${bySeverity(d.changed, ch => ch.column).map(ch => ch.differences.map((df, i) =>
+            `<tr><td>${esc(ch.column)}</td><td>${i === 0 ? severityBadge(ch) : ''}</td><td>${esc(df.field)}</td><td class="val-a">${esc(String(df.valueA))}</td><td class="val-b">${esc(String(df.valueB))}</td></tr>`
         ).join('')).join('')}
           </table>` : ''}
         </div>`;
-    }).join('')}
+    }).join('')}</div>`).join('')}
     </div>
   </div>`;
 }
@@ -174,12 +254,12 @@ function renderEnumsSection(diff, labelA, labelB) {
     <div class="section-header">Enums</div>
     <div class="section-body">
       ${!hasContent ? '<div class="empty-state">All enums are identical</div>' : ''}
-      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A</div>${onlyInA.map(e => `<div class="diff-item diff-a">+ ${esc(e)}</div>`).join('')}</div>` : ''}
-      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B</div>${onlyInB.map(e => `<div class="diff-item diff-b">+ ${esc(e)}</div>`).join('')}</div>` : ''}
-      ${changed.map(ch => `<div class="diff-group"><div class="diff-group-title">${esc(ch.name)}</div>
+      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A</div>${renderBySchema(onlyInA, (name, e) => diffItem('a', `+ ${name}`, e))}</div>` : ''}
+      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B</div>${renderBySchema(onlyInB, (name, e) => diffItem('b', `+ ${name}`, e))}</div>` : ''}
+      ${renderBySchema(changed, (name, ch) => `<div class="diff-group"><div class="diff-group-title">${esc(name)}${severityBadge(ch)}</div>
         <div class="diff-item diff-c">A: ${esc(ch.valuesA.join(', '))}</div>
         <div class="diff-item diff-c">B: ${esc(ch.valuesB.join(', '))}</div>
-      </div>`).join('')}
+      </div>`, ch => ch.name)}
     </div>
   </div>`;
 }
@@ -190,13 +270,339 @@ function renderSimpleSection(title, section, labelA, labelB) {
     <div class="section-header">${esc(title)}</div>
     <div class="section-body">
       ${!hasContent ? `<div class="empty-state">All ${title.toLowerCase()} are identical</div>` : ''}
-      ${section.onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A (${esc(labelA)}): ${section.onlyInA.length}</div>${section.onlyInA.map(k => `<div class="diff-item diff-a">+ ${esc(k)}</div>`).join('')}</div>` : ''}
-      ${section.onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B (${esc(labelB)}): ${section.onlyInB.length}</div>${section.onlyInB.map(k => `<div class="diff-item diff-b">+ ${esc(k)}</div>`).join('')}</div>` : ''}
-      ${section.changed.length ? `<div class="diff-group"><div class="diff-group-title">Changed: ${section.changed.length}</div>${section.changed.map(ch => `<div class="diff-item diff-c">~ ${esc(ch.key)}</div>`).join('')}</div>` : ''}
+      ${section.onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A (${esc(labelA)}): ${section.onlyInA.length}</div>${renderBySchema(section.onlyInA, (k, e) => diffItem('a', `+ ${k}`, e))}</div>` : ''}
+      ${section.onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B (${esc(labelB)}): ${section.onlyInB.length}</div>${renderBySchema(section.onlyInB, (k, e) => diffItem('b', `+ ${k}`, e))}</div>` : ''}
+      ${section.changed.length ? `<div class="diff-group"><div class="diff-group-title">Changed: ${section.changed.length}</div>${renderBySchema(section.changed, (k, ch) =>
+        `${diffItem('c', `~ ${k}`, ch)}${renderChangeDetail(ch, labelA, labelB)}`)}</div>` : ''}
+    </div>
+  </div>`;
+}
+
+// Sequence drift, plus sequences that fell behind the column they fill in
+// either database; those are listed even when both sides agree
+function renderSequencesSection(diff, labelA, labelB) {
+    const { onlyInA, onlyInB, changed } = diff.sequences;
+    const warnings = diff.sequenceWarnings || [];
+    const warningGroup = (side, label) => {
+        const own = warnings.filter(w => w.side === side);
+        return own.length ? `<div class="diff-group"><div class="diff-group-title">Behind in ${side} (${esc(label)}): ${own.length}</div>
+        ${own.map(w => `<div class="diff-item diff-warn">! ${esc(w.key)}<span class="sev-reason">${esc(w.message)}</span></div>`).join('')}</div>` : '';
+    };
+    const hasContent = onlyInA.length || onlyInB.length || changed.length || warnings.length;
+    return `<div class="section">
+    <div class="section-header">Sequences${warnings.length ? `<span class="sev sev-breaking">⚠ ${warnings.length} behind</span>` : ''}</div>
+    <div class="section-body">
+      ${!hasContent ? '<div class="empty-state">All sequences are identical and none is behind its column</div>' : ''}
+      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">Only in A (${esc(labelA)}): ${onlyInA.length}</div>${renderBySchema(onlyInA, (k, e) => diffItem('a', `+ ${k}`, e))}</div>` : ''}
+      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">Only in B (${esc(labelB)}): ${onlyInB.length}</div>${renderBySchema(onlyInB, (k, e) => diffItem('b', `+ ${k}`, e))}</div>` : ''}
+      ${changed.length ? `<div class="diff-group"><div class="diff-group-title">Changed: ${changed.length}</div>${renderBySchema(changed, (k, ch) =>
+        `${diffItem('c', `~ ${k}`, ch)}${renderChangeDetail(ch, labelA, labelB)}`)}</div>` : ''}
+      ${warningGroup('A', labelA)}
+      ${warningGroup('B', labelB)}
     </div>
   </div>`;
 }
 
+// Tables and columns only in A paired with ones only in B under a new name;
+// both objects are still listed in their own sections
+function renderRenamesSection(renames) {
+    if (!renames.length) return '';
+    const renamedTo = r => (r.category === 'columns' ? r.to.slice(r.to.lastIndexOf('.') + 1) : splitKey(r.to)[1]);
+    const status = r => (r.status === 'confirmed'
+        ? '<span class="sev sev-confirmed">confirmed</span>'
+        : `<span class="sev sev-risky">${Math.round(r.confidence * 100)}%</span>`);
+    return `<div class="section">
+    <div class="section-header">Renames (${renames.length})</div>
+    <div class="section-body">
+      ${renderBySchema(renames, (from, r) => `<div class="diff-item diff-c">↻ ${esc(from)} → ${esc(renamedTo(r))}${status(r)}<span class="sev-reason">${esc(r.reasons.join(', '))}</span></div>`, r => r.from)}
+      ${renames.some(r => r.status !== 'confirmed') ? '<div class="empty-state">Confirm or reject a pairing in .schemacomparerenames; confirmed ones are renamed by --sql</div>' : ''}
+    </div>
+  </div>`;
+}
+
+// RLS flag changes, plus exposed tables RLS does not protect in either
+// database; those are listed even when both sides agree
+function renderRowSecuritySection(diff, labelA, labelB) {
+    const { changed } = diff.rowSecurity;
+    const warnings = diff.rlsWarnings || [];
+    const state = (enabled, forced) => (enabled ? (forced ? 'enabled, forced' : 'enabled') : (forced ? 'disabled (forced)' : 'disabled'));
+    const warningGroup = (side, label) => {
+        const own = warnings.filter(w => w.side === side);
+        return own.length ? `<div class="diff-group"><div class="diff-group-title">Unprotected in ${side} (${esc(label)}): ${own.length}</div>
+        ${own.map(w => `<div class="diff-item diff-warn">! ${esc(w.key)}<span class="sev-reason">${esc(w.message)}</span></div>`).join('')}</div>` : '';
+    };
+    return `<div class="section">
+    <div class="section-header">Row Level Security${warnings.length ? `<span class="sev sev-breaking">⚠ ${warnings.length} unprotected</span>` : ''}</div>
+    <div class="section-body">
+      ${!changed.length && !warnings.length ? '<div class="empty-state">RLS settings are identical and every exposed table is protected</div>' : ''}
+      ${changed.length ? `<div class="diff-group"><div class="diff-group-title">Changed: ${changed.length}</div>${renderBySchema(changed, (t, ch) =>
+        diffItem('c', `~ ${t}: ${state(ch.enabledA, ch.forcedA)} → ${state(ch.enabledB, ch.forcedB)}`, ch))}</div>` : ''}
+      ${warningGroup('A', labelA)}
+      ${warningGroup('B', labelB)}
+    </div>
+  </div>`;
+}
+
+// Grants as sentences, breaking ones first; the header carries a warning
+// badge when any grant drift is breaking
+function renderGrantsSection(grants, labelA, labelB) {
+    const { onlyInA, onlyInB, changed } = grants;
+    const breaking = [...onlyInA, ...onlyInB, ...changed].filter(e => e.severity === 'breaking').length;
+    const hasContent = onlyInA.length || onlyInB.length || changed.length;
+    return `<div class="section">
+    <div class="section-header">Grants${breaking ? `<span class="sev sev-breaking">⚠ ${breaking} breaking</span>` : ''}</div>
+    <div class="section-body">
+      ${!hasContent ? '<div class="empty-state">All grants are identical</div>' : ''}
+      ${onlyInA.length ? `<div class="diff-group"><div class="diff-group-title">In A (${esc(labelA)}) but not B: ${onlyInA.length}</div>${bySeverity(onlyInA).map(e => diffItem('a', `- ${e.description}`, e)).join('')}</div>` : ''}
+      ${onlyInB.length ? `<div class="diff-group"><div class="diff-group-title">In B (${esc(labelB)}) but not A: ${onlyInB.length}</div>${bySeverity(onlyInB).map(e => diffItem('b', `+ ${e.description}`, e)).join('')}</div>` : ''}
+      ${changed.length ? `<div class="diff-group"><div class="diff-group-title">WITH GRANT OPTION differs: ${changed.length}</div>${bySeverity(changed).map(ch =>
+        diffItem('c', `~ ${ch.description}: ${ch.grantableA ? 'yes' : 'no'} → ${ch.grantableB ? 'yes' : 'no'}`, ch)).join('')}</div>` : ''}
+    </div>
+  </div>`;
+}
+
+// Shared tables whose contents diverged, with row counts, sizes and the
+// reasons; differing rows of small tables are collapsed under a toggle.
+// Tables never analyzed were not compared and are named as such.
+function renderDataSection(data, labelA, labelB) {
+    const diverged = data.tables.filter(t => t.diverged);
+    const unanalyzed = data.tables.filter(t => t.unanalyzed && !t.diverged);
+    const matching = data.tables.length - diverged.length - unanalyzed.length;
+    const item = (name, t) => {
+        const approx = t.exact ? '' : '≈';
+        return `<div class="diff-item diff-warn">≠ ${esc(name)}<span class="sev-reason">rows ${approx}${formatCount(t.rowsA)} → ${approx}${formatCount(t.rowsB)}, size ${formatBytes(t.bytesA)} → ${formatBytes(t.bytesB)} · ${esc(t.reasons.join('; '))}</span></div>
+        ${t.rows ? renderRowDifferences(t.rows, labelA, labelB) : ''}`;
+    };
+    return `<div class="section">
+    <div class="section-header">Data${diverged.length ? `<span class="sev sev-breaking">≠ ${diverged.length} diverged</span>` : ''}</div>
+    <div class="section-body">
+      ${diverged.length ? renderBySchema(diverged, item) : ''}
+      ${unanalyzed.length ? `<div class="empty-state">Not compared, no row estimate (run ANALYZE or use --data-scan-unanalyzed): ${esc(unanalyzed.map(t => t.key).join(', '))}</div>` : ''}
+      ${matching ? `<div class="empty-state">${diverged.length || unanalyzed.length ? `${matching} other shared table${matching !== 1 ? 's' : ''} match` : `All ${matching} shared tables match`}</div>` : ''}
+    </div>
+  </div>`;
+}
+
+function renderRowDifferences(rows, labelA, labelB) {
+    const count = rows.onlyInA.length + rows.onlyInB.length + rows.changed.length;
+    if (!count) return '';
+    const value = v => (v === null ? '<span class="none">NULL</span>' : esc(v));
+    const row = r => Object.entries(r).map(([column, v]) => `${esc(column)}=${value(v)}`).join(' ');
+    const none = '<span class="none">(none)</span>';
+    return `<details class="change-detail"><summary>Show ${count} differing row${count !== 1 ? 's' : ''}</summary>
+      <table class="col-diff"><tr><th>Row</th><th>A (${esc(labelA)})</th><th>B (${esc(labelB)})</th></tr>
+      ${rows.onlyInA.map(r => `<tr><td>only in A</td><td class="val-a">${row(r)}</td><td>${none}</td></tr>`).join('')}
+      ${rows.onlyInB.map(r => `<tr><td>only in B</td><td>${none}</td><td class="val-b">${row(r)}</td></tr>`).join('')}
+      ${rows.changed.map(ch => `<tr><td>${row(ch.key)}</td>
+        <td class="val-a">${ch.differences.map(df => `${esc(df.column)}=${value(df.valueA)}`).join(' ')}</td>
+        <td class="val-b">${ch.differences.map(df => `${esc(df.column)}=${value(df.valueB)}`).join(' ')}</td></tr>`).join('')}
+      </table></details>`;
+}
+
+// Entries suppressed by ignore rules: listed for the record, collapsed by default
+function renderIgnoredSection(ignored) {
+    if (!ignored.length) return '';
+    const sideLabel = { onlyInA: 'only in A', onlyInB: 'only in B', changed: 'changed' };
+    const byCategory = new Map();
+    for (const item of ignored) {
+        if (!byCategory.has(item.category)) byCategory.set(item.category, []);
+        byCategory.get(item.category).push(item);
+    }
+    return `<div class="section">
+    <div class="section-header" data-collapsed>Ignored (${ignored.length})</div>
+    <div class="section-body">
+      ${[...byCategory].map(([category, items]) => `<div class="diff-group"><div class="diff-group-title">${esc(category)}: ${items.length}</div>
+        ${items.map(item => `<div class="diff-item diff-ignored">${esc(item.key)}${item.side ? ` (${sideLabel[item.side]})` : ''} · ${esc(item.pattern)}${item.reason ? `<span class="ignore-reason">— ${esc(item.reason)}</span>` : ''}</div>`).join('')}
+      </div>`).join('')}
+    </div>
+  </div>`;
+}
+
+// Differences in objects that belong to an extension, collapsed and
+// grouped by extension
+function renderExtensionObjectsSection(hidden) {
+    if (!hidden.length) return '';
+    const sideLabel = { onlyInA: 'only in A', onlyInB: 'only in B', changed: 'changed' };
+    const byExtension = new Map();
+    for (const item of hidden) {
+        if (!byExtension.has(item.extension)) byExtension.set(item.extension, []);
+        byExtension.get(item.extension).push(item);
+    }
+    return `<div class="section">
+    <div class="section-header" data-collapsed>Extension Objects (${hidden.length} hidden)</div>
+    <div class="section-body">
+      ${[...byExtension].sort(([x], [y]) => x.localeCompare(y)).map(([extension, items]) => `<div class="diff-group"><div class="diff-group-title">${esc(extension)}: ${items.length}</div>
+        ${items.map(item => `<div class="diff-item diff-ignored">${esc(item.category)}: ${esc(item.key)} (${sideLabel[item.side]})</div>`).join('')}
+      </div>`).join('')}
+    </div>
+  </div>`;
+}
+
+// What changed in an entry — its differing fields and its body or query
+// side by side — collapsed under a toggle
+function renderChangeDetail(ch, labelA, labelB) {
+    const fields = ch.differences && ch.differences.length ? renderFieldDifferences(ch.differences, labelA, labelB) : '';
+    const body = ch.lineDiff ? renderSideBySide(ch.lineDiff, labelA, labelB) : '';
+    if (!fields && !body) return '';
+    return `<details class="change-detail"><summary>Show A/B detail</summary>${fields}${body}</details>`;
+}
+
+// Per-field A/B values of a changed object, with the differing parts marked
+function renderFieldDifferences(differences, labelA, labelB) {
+    const cell = (df, keep, value) => {
+        if (value === null) return '<span class="none">(none)</span>';
+        return df.inline ? markInline(df.inline, keep) : esc(String(value));
+    };
+    return `<table class="col-diff"><tr><th>Field</th><th>A (${esc(labelA)})</th><th>B (${esc(labelB)})</th></tr>
+      ${differences.map(df => `<tr><td>${esc(df.field)}</td><td class="val-a">${cell(df, 'removed', df.valueA)}</td><td class="val-b">${cell(df, 'added', df.valueB)}</td></tr>`).join('')}
+    </table>`;
+}
+
+function renderSideBySide(rows, labelA, labelB) {
+    return `<table class="side-by-side">
+      <tr><th colspan="2">A (${esc(labelA)})</th><th colspan="2">B (${esc(labelB)})</th></tr>
+      ${collapseUnchanged(rows).map(r => r.type === 'skip'
+        ? `<tr class="sbs-skip"><td colspan="4">… ${r.count} unchanged line${r.count !== 1 ? 's' : ''}</td></tr>`
+        : `<tr class="sbs-${r.type}"><td class="ln">${r.lineA ?? ''}</td><td class="code-a">${r.inline ? markInline(r.inline, 'removed') : esc(r.a ?? '')}</td><td class="ln">${r.lineB ?? ''}</td><td class="code-b">${r.inline ? markInline(r.inline, 'added') : esc(r.b ?? '')}</td></tr>`
+    ).join('')}
+    </table>`;
+}
+
+// One side of an inline diff (`keep` is `removed` for A, `added` for B),
+// with the parts only on that side marked
+function markInline(parts, keep) {
+    return parts.filter(p => p.type === 'same' || p.type === keep)
+        .map(p => (p.type === 'same' ? esc(p.text) : `<mark class="mark-${keep}">${esc(p.text)}</mark>`)).join('');
+}
+
+// Render entries under a label per schema, most severe first; `renderItem`
+// receives the key without its schema prefix and the original entry.
+// Objects without a schema (event triggers) get no label.
+function renderBySchema(items, renderItem, keyFn = e => e.key) {
+    return [...groupBySchema(items, keyFn)].sort(([x], [y]) => x.localeCompare(y)).map(([schema, group]) =>
+        `${schema ? `<div class="schema-label">${esc(schema)}</div>` : ''}${bySeverity(group, keyFn).map(item => renderItem(splitKey(keyFn(item))[1], item)).join('')}`
+    ).join('');
+}
+
+function bySeverity(entries, keyFn = e => e.key) {
+    return [...entries].sort(compareSeverity(keyFn));
+}
+
+// One diff line: `side` is a, b or c (changed); `text` is escaped here
+function diffItem(side, text, entry) {
+    return `<div class="diff-item diff-${side} ${entry.severity}">${esc(text)}${severityBadge(entry)}</div>`;
+}
+
+function severityBadge(entry) {
+    const extension = entry.extension ? `<span class="ignore-reason">extension ${esc(entry.extension)}</span>` : '';
+    return `<span class="sev sev-${entry.severity}">${entry.severity}</span><span class="sev-reason">${esc(entry.reason)}</span>${extension}`;
+}
+
 function esc(s) {
     return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
+
+// ── Shared page assets ──
+
+const STYLES = `  :root {
+    --bg: #0d1117; --surface: #161b22; --border: #30363d;
+    --text: #e6edf3; --text-dim: #8b949e; --accent: #58a6ff;
+    --green: #3fb950; --blue: #58a6ff; --yellow: #d29922;
+    --red: #f85149; --magenta: #bc8cff; --cyan: #39d2c0;
+  }
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: 'Inter', 'Segoe UI', system-ui, sans-serif; background: var(--bg); color: var(--text); line-height: 1.6; padding: 2rem; }
+  .container { max-width: 1100px; margin: 0 auto; }
+  h1 { font-size: 1.75rem; margin-bottom: 0.5rem; background: linear-gradient(135deg, var(--cyan), var(--accent)); -webkit-background-clip: text; -webkit-text-fill-color: transparent; }
+  .subtitle { color: var(--text-dim); margin-bottom: 2rem; font-size: 0.95rem; }
+  .labels { display: flex; gap: 2rem; margin-bottom: 2rem; }
+  .label-badge { padding: 0.5rem 1rem; border-radius: 8px; font-weight: 600; font-size: 0.9rem; }
+  .label-a { background: rgba(188, 140, 255, 0.15); border: 1px solid var(--magenta); color: var(--magenta); }
+  .label-b { background: rgba(88, 166, 255, 0.15); border: 1px solid var(--blue); color: var(--blue); }
+
+  .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; margin-bottom: 2rem; }
+  .stat-card { background: var(--surface); border: 1px solid var(--border); border-radius: 12px; padding: 1rem 1.25rem; }
+  .stat-card h3 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; color: var(--text-dim); margin-bottom: 0.5rem; }
+  .stat-row { display: flex; gap: 0.75rem; font-size: 0.85rem; flex-wrap: wrap; }
+  .stat-row span { padding: 2px 8px; border-radius: 6px; font-weight: 600; }
+  .s-a { background: rgba(63, 185, 80, 0.15); color: var(--green); }
+  .s-b { background: rgba(88, 166, 255, 0.15); color: var(--blue); }
+  .s-c { background: rgba(210, 153, 34, 0.15); color: var(--yellow); }
+  .s-n { background: rgba(139, 148, 158, 0.1); color: var(--text-dim); }
+
+  .section { margin-bottom: 2rem; }
+  .section-header { font-size: 1.1rem; font-weight: 700; padding: 0.75rem 0; border-bottom: 2px solid var(--border); margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem; cursor: pointer; user-select: none; }
+  .section-header::before { content: '▸'; transition: transform 0.2s; }
+  .section-header.open::before { transform: rotate(90deg); }
+  .section-body { display: none; }
+  .section-body.open { display: block; }
+
+  .diff-group { margin-bottom: 1rem; }
+  .diff-group-title { font-weight: 600; font-size: 0.95rem; margin-bottom: 0.5rem; color: var(--accent); }
+  .schema-label { font-size: 0.72rem; text-transform: uppercase; letter-spacing: 0.05em; color: var(--text-dim); margin: 0.5rem 0 0.25rem; }
+  .schema-block { margin-bottom: 1.5rem; }
+  .schema-block > .schema-label { font-size: 0.85rem; color: var(--cyan); border-bottom: 1px solid var(--border); padding-bottom: 0.25rem; }
+  .diff-item { padding: 0.35rem 0.75rem; font-family: 'JetBrains Mono', 'Fira Code', monospace; font-size: 0.82rem; border-radius: 6px; margin-bottom: 2px; }
+  .diff-a { background: rgba(63, 185, 80, 0.1); color: var(--green); border-left: 3px solid var(--green); }
+  .diff-b { background: rgba(88, 166, 255, 0.1); color: var(--blue); border-left: 3px solid var(--blue); }
+  .diff-c { background: rgba(210, 153, 34, 0.08); color: var(--yellow); border-left: 3px solid var(--yellow); }
+
+  table.col-diff { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.82rem; }
+  table.col-diff th { text-align: left; padding: 0.4rem 0.75rem; background: var(--surface); border: 1px solid var(--border); color: var(--text-dim); font-weight: 600; }
+  table.col-diff td { padding: 0.4rem 0.75rem; border: 1px solid var(--border); font-family: 'JetBrains Mono', monospace; }
+  .val-a { color: var(--magenta); }
+  .val-b { color: var(--cyan); }
+  mark.mark-removed { background: rgba(248, 81, 73, 0.3); color: inherit; border-radius: 2px; }
+  mark.mark-added { background: rgba(63, 185, 80, 0.3); color: inherit; border-radius: 2px; }
+  .none { color: var(--text-dim); font-style: italic; }
+  details.change-detail { margin: 0.15rem 0 0.6rem 0.75rem; }
+  details.change-detail > summary { cursor: pointer; font-size: 0.78rem; color: var(--text-dim); user-select: none; }
+  details.change-detail[open] > summary { margin-bottom: 0.35rem; }
+
+  table.side-by-side { width: 100%; border-collapse: collapse; margin: 0.25rem 0 0.75rem; font-family: 'JetBrains Mono', 'Fira Code', monospace; font-size: 0.78rem; table-layout: fixed; }
+  table.side-by-side th { text-align: left; padding: 0.3rem 0.5rem; background: var(--surface); border: 1px solid var(--border); color: var(--text-dim); font-weight: 600; }
+  table.side-by-side td { padding: 0 0.5rem; border-left: 1px solid var(--border); border-right: 1px solid var(--border); white-space: pre-wrap; word-break: break-all; vertical-align: top; }
+  table.side-by-side td.ln { width: 3rem; color: var(--text-dim); text-align: right; user-select: none; }
+  table.side-by-side tr.sbs-changed td.code-a, table.side-by-side tr.sbs-removed td.code-a { background: rgba(248, 81, 73, 0.12); }
+  table.side-by-side tr.sbs-changed td.code-b, table.side-by-side tr.sbs-added td.code-b { background: rgba(63, 185, 80, 0.12); }
+  table.side-by-side tr.sbs-skip td { color: var(--text-dim); font-style: italic; text-align: center; border: 1px solid var(--border); }
+
+  .diff-item.breaking { border-left-color: var(--red); }
+  .sev { display: inline-block; margin-left: 0.5rem; padding: 0 6px; border-radius: 4px; font-size: 0.7rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.04em; }
+  .sev-breaking { background: rgba(248, 81, 73, 0.18); color: var(--red); }
+  .sev-risky { background: rgba(210, 153, 34, 0.18); color: var(--yellow); }
+  .sev-cosmetic { background: rgba(139, 148, 158, 0.12); color: var(--text-dim); }
+  .sev-confirmed { background: rgba(63, 185, 80, 0.18); color: var(--green); }
+  .sev-reason { font-family: 'Inter', 'Segoe UI', system-ui, sans-serif; color: var(--text-dim); margin-left: 0.5rem; }
+  .diff-warn { background: rgba(248, 81, 73, 0.08); color: var(--red); border-left: 3px solid var(--red); }
+  .diff-ignored { background: rgba(139, 148, 158, 0.08); color: var(--text-dim); border-left: 3px solid var(--border); }
+  .ignore-reason { font-family: 'Inter', 'Segoe UI', system-ui, sans-serif; font-style: italic; margin-left: 0.5rem; }
+
+  table.matrix { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.82rem; }
+  table.matrix th { text-align: left; padding: 0.4rem 0.75rem; background: var(--surface); border: 1px solid var(--border); color: var(--text-dim); font-weight: 600; }
+  table.matrix td { padding: 0.35rem 0.75rem; border: 1px solid var(--border); font-family: 'JetBrains Mono', 'Fira Code', monospace; vertical-align: top; }
+  table.matrix td.cell { text-align: center; width: 7rem; font-weight: 700; }
+  .cell-same { background: rgba(63, 185, 80, 0.08); color: var(--green); }
+  .cell-missing { color: var(--text-dim); }
+  .cell-outlier { background: rgba(248, 81, 73, 0.18); color: var(--red); box-shadow: inset 0 0 0 1px var(--red); }
+  table.matrix summary { cursor: pointer; }
+  .variant { white-space: pre-wrap; word-break: break-all; color: var(--text-dim); margin: 0.25rem 0 0 1rem; font-size: 0.78rem; }
+  .variant b { color: var(--text); }
+
+  .empty-state { color: var(--text-dim); font-style: italic; padding: 1rem; text-align: center; }
+  .timestamp { text-align: center; color: var(--text-dim); font-size: 0.8rem; margin-top: 2rem; padding-top: 1rem; border-top: 1px solid var(--border); }
+
+  @media (max-width: 600px) { body { padding: 1rem; } .labels { flex-direction: column; gap: 0.5rem; } }`;
+
+const SECTION_SCRIPT = `document.querySelectorAll('.section-header').forEach(h => {
+  h.addEventListener('click', () => {
+    h.classList.toggle('open');
+    h.nextElementSibling.classList.toggle('open');
+  });
+  // Auto-open sections with content, except ones that start collapsed
+  const body = h.nextElementSibling;
+  if (body && body.innerHTML.trim() && !body.querySelector('.empty-state') && !h.hasAttribute('data-collapsed')) {
+    h.classList.add('open');
+    body.classList.add('open');
+  }
+});`;
@@ -1,64 +1,69 @@
+import { CATEGORIES, groupBySchema, splitKey, categoryEntries } from './diff.js';
+import { SEVERITIES, compareSeverity } from './severity.js';
+import { collapseUnchanged } from './text-diff.js';
+import { computeMatrixStats } from './matrix.js';
+import { formatBytes, formatCount } from './data.js';
+
 /**
  * Print a color-coded schema diff report to the terminal.
+ * Every section is grouped by schema.
+ *
+ * With `options.verbose`, changed bodies and queries are printed as a
+ * unified diff and long lists are not cut short.
  */
-export function printTerminalReport(diff) {
+export function printTerminalReport(diff, options = {}) {
     const { labelA, labelB } = diff;
+    const verbose = !!options.verbose;
     const c = colors;
 
-    console.log();
-    console.log(c.bold(c.cyan('╔══════════════════════════════════════════════════════════════╗')));
-    console.log(c.bold(c.cyan('║          DATABASE SCHEMA COMPARISON REPORT                  ║')));
-    console.log(c.bold(c.cyan('╚══════════════════════════════════════════════════════════════╝')));
-    console.log();
-    console.log(`  ${c.bold('A')}: ${c.magenta(labelA)}`);
-    console.log(`  ${c.bold('B')}: ${c.blue(labelB)}`);
-    console.log();
+    printSummary(diff);
 
-    // ── Summary ──
-    const stats = computeStats(diff);
-    console.log(c.bold('─── SUMMARY ───────────────────────────────────────────────────'));
-    console.log(`  Tables:     ${c.green(stats.tablesOnlyA + ' only in A')}  │  ${c.blue(stats.tablesOnlyB + ' only in B')}  │  ${c.white(stats.tablesCommon + ' shared')}`);
-    console.log(`  Columns:    ${c.yellow(stats.columnsChanged + ' changed')}  │  ${c.green(stats.columnsOnlyA + ' only in A')}  │  ${c.blue(stats.columnsOnlyB + ' only in B')}`);
-    console.log(`  Indexes:    ${c.green(stats.indexesOnlyA + ' only in A')}  │  ${c.blue(stats.indexesOnlyB + ' only in B')}  │  ${c.yellow(stats.indexesChanged + ' changed')}`);
-    console.log(`  ForeignKeys:${c.green(stats.fksOnlyA + ' only in A')}  │  ${c.blue(stats.fksOnlyB + ' only in B')}  │  ${c.yellow(stats.fksChanged + ' changed')}`);
-    console.log(`  Enums:      ${c.green(stats.enumsOnlyA + ' only in A')}  │  ${c.blue(stats.enumsOnlyB + ' only in B')}  │  ${c.yellow(stats.enumsChanged + ' changed')}`);
-    console.log(`  Policies:   ${c.green(stats.policiesOnlyA + ' only in A')}  │  ${c.blue(stats.policiesOnlyB + ' only in B')}  │  ${c.yellow(stats.policiesChanged + ' changed')}`);
-    console.log(`  Functions:  ${c.green(stats.functionsOnlyA + ' only in A')}  │  ${c.blue(stats.functionsOnlyB + ' only in B')}  │  ${c.yellow(stats.functionsChanged + ' changed')}`);
-    console.log(`  Triggers:   ${c.green(stats.triggersOnlyA + ' only in A')}  │  ${c.blue(stats.triggersOnlyB + ' only in B')}  │  ${c.yellow(stats.triggersChanged + ' changed')}`);
-    console.log();
+    // ── Extensions ──
+    printExtensionsSection(diff.extensions, labelA, labelB);
 
     // ── Tables ──
-    if (diff.tables.onlyInA.length || diff.tables.onlyInB.length) {
+    if (diff.tables.onlyInA.length || diff.tables.onlyInB.length || diff.tables.changed.length) {
         console.log(c.bold('─── TABLES ────────────────────────────────────────────────────'));
         if (diff.tables.onlyInA.length) {
             console.log(c.green(`  Only in A (${labelA}):`));
-            diff.tables.onlyInA.forEach(t => console.log(c.green(`    + ${t}`)));
+            printBySchema(diff.tables.onlyInA, (t, e) => console.log(c.green(`      + ${t}`) + severityNote(e)));
         }
         if (diff.tables.onlyInB.length) {
             console.log(c.blue(`  Only in B (${labelB}):`));
-            diff.tables.onlyInB.forEach(t => console.log(c.blue(`    + ${t}`)));
+            printBySchema(diff.tables.onlyInB, (t, e) => console.log(c.blue(`      + ${t}`) + severityNote(e)));
+        }
+        if (diff.tables.changed.length) {
+            console.log(c.yellow('  Changed type:'));
+            printBySchema(diff.tables.changed, (t, ch) =>
+                console.log(c.yellow(`      ~ ${t}: ${c.magenta(ch.typeA)} → ${c.cyan(ch.typeB)}`) + severityNote(ch)));
         }
         console.log();
     }
 
+    // ── Views ──
+    printSimpleSection('VIEWS', diff.views, labelA, labelB, verbose);
+
     // ── Columns ──
     const colTables = Object.keys(diff.columns);
     if (colTables.length) {
         console.log(c.bold('─── COLUMN DIFFERENCES ────────────────────────────────────────'));
-        for (const table of colTables) {
-            const d = diff.columns[table];
-            console.log(c.bold(`\n  Table: ${table}`));
-            if (d.onlyInA.length) {
-                d.onlyInA.forEach(col => console.log(c.green(`    + [A only] ${col}`)));
-            }
-            if (d.onlyInB.length) {
-                d.onlyInB.forEach(col => console.log(c.blue(`    + [B only] ${col}`)));
-            }
-            if (d.changed.length) {
-                for (const ch of d.changed) {
-                    console.log(c.yellow(`    ~ ${ch.column}:`));
-                    for (const df of ch.differences) {
-                        console.log(c.yellow(`        ${df.field}: ${c.magenta(String(df.valueA))} → ${c.cyan(String(df.valueB))}`));
+        for (const [schema, tables] of groupBySchema(colTables)) {
+            console.log(c.bold(`\n  Schema: ${schema}`));
+            for (const table of tables) {
+                const d = diff.columns[table];
+                console.log(c.bold(`    Table: ${splitKey(table)[1]}`));
+                if (d.onlyInA.length) {
+                    bySeverity(d.onlyInA, e => e.column).forEach(e => console.log(c.green(`      + [A only] ${e.column}`) + severityNote(e)));
+                }
+                if (d.onlyInB.length) {
+                    bySeverity(d.onlyInB, e => e.column).forEach(e => console.log(c.blue(`      + [B only] ${e.column}`) + severityNote(e)));
+                }
+                if (d.changed.length) {
+                    for (const ch of bySeverity(d.changed, e => e.column)) {
+                        console.log(c.yellow(`      ~ ${ch.column}:`) + severityNote(ch));
+                        for (const df of ch.differences) {
+                            console.log(c.yellow(`          ${df.field}: ${c.magenta(String(df.valueA))} → ${c.cyan(String(df.valueB))}`));
+                        }
                     }
                 }
             }
@@ -66,67 +71,470 @@ export function printTerminalReport(diff) {
         console.log();
     }
 
+    // ── Renames ──
+    printRenamesSection(diff.renames || []);
+
     // ── Indexes ──
-    printSimpleSection('INDEXES', diff.indexes, labelA, labelB);
+    printSimpleSection('INDEXES', diff.indexes, labelA, labelB, verbose);
 
     // ── Foreign Keys ──
-    printSimpleSection('FOREIGN KEYS', diff.foreignKeys, labelA, labelB);
+    printSimpleSection('FOREIGN KEYS', diff.foreignKeys, labelA, labelB, verbose);
+
+    // ── Constraints ──
+    printSimpleSection('CONSTRAINTS', diff.constraints, labelA, labelB, verbose);
+
+    // ── Sequences ──
+    printSimpleSection('SEQUENCES', diff.sequences, labelA, labelB, verbose);
+    printWarnings('SEQUENCES BEHIND', diff.sequenceWarnings || [], labelA, labelB);
 
     // ── Enums ──
     if (diff.enums.onlyInA.length || diff.enums.onlyInB.length || diff.enums.changed.length) {
         console.log(c.bold('─── ENUMS ─────────────────────────────────────────────────────'));
         if (diff.enums.onlyInA.length) {
-            console.log(c.green(`  Only in A: ${diff.enums.onlyInA.join(', ')}`));
+            console.log(c.green('  Only in A:'));
+            printBySchema(diff.enums.onlyInA, (name, e) => console.log(c.green(`      + ${name}`) + severityNote(e)));
         }
         if (diff.enums.onlyInB.length) {
-            console.log(c.blue(`  Only in B: ${diff.enums.onlyInB.join(', ')}`));
+            console.log(c.blue('  Only in B:'));
+            printBySchema(diff.enums.onlyInB, (name, e) => console.log(c.blue(`      + ${name}`) + severityNote(e)));
         }
-        for (const ch of diff.enums.changed) {
-            console.log(c.yellow(`  ~ ${ch.name}:`));
-            console.log(c.magenta(`      A: ${ch.valuesA.join(', ')}`));
-            console.log(c.cyan(`      B: ${ch.valuesB.join(', ')}`));
+        if (diff.enums.changed.length) {
+            console.log(c.yellow('  Changed:'));
+            printBySchema(diff.enums.changed, (name, ch) => {
+                console.log(c.yellow(`      ~ ${name}:`) + severityNote(ch));
+                console.log(c.magenta(`          A: ${ch.valuesA.join(', ')}`));
+                console.log(c.cyan(`          B: ${ch.valuesB.join(', ')}`));
+            }, ch => ch.name);
         }
         console.log();
     }
 
+    // ── Domains ──
+    printSimpleSection('DOMAINS', diff.domains, labelA, labelB, verbose);
+
+    // ── Collations ──
+    printSimpleSection('COLLATIONS', diff.collations, labelA, labelB, verbose);
+
+    // ── Row Level Security ──
+    if (diff.rowSecurity.changed.length) {
+        console.log(c.bold('─── ROW LEVEL SECURITY ────────────────────────────────────────'));
+        printBySchema(diff.rowSecurity.changed, (t, ch) =>
+            console.log(c.yellow(`      ~ ${t}: ${c.magenta(rlsState(ch.enabledA, ch.forcedA))} → ${c.cyan(rlsState(ch.enabledB, ch.forcedB))}`) + severityNote(ch)));
+        console.log();
+    }
+    printWarnings('UNPROTECTED TABLES', diff.rlsWarnings || [], labelA, labelB);
+
     // ── RLS Policies ──
-    printSimpleSection('RLS POLICIES', diff.policies, labelA, labelB);
+    printSimpleSection('RLS POLICIES', diff.policies, labelA, labelB, verbose);
 
     // ── Functions ──
-    printSimpleSection('FUNCTIONS', diff.functions, labelA, labelB);
+    printSimpleSection('FUNCTIONS', diff.functions, labelA, labelB, verbose);
 
     // ── Triggers ──
-    printSimpleSection('TRIGGERS', diff.triggers, labelA, labelB);
+    printSimpleSection('TRIGGERS', diff.triggers, labelA, labelB, verbose);
+    printSimpleSection('EVENT TRIGGERS', diff.eventTriggers, labelA, labelB, verbose);
+
+    // ── Grants ──
+    printGrantsSection(diff.grants, labelA, labelB);
+
+    // ── Data ──
+    if (diff.data) printDataSection(diff.data, labelA, labelB, verbose);
+
+    // ── Ignored ──
+    printIgnoredSection(diff.ignored || []);
+    printExtensionObjectsSection(diff.extensionObjects || []);
 
     console.log(c.bold(c.cyan('══════════════════════════════════════════════════════════════')));
     console.log();
 }
 
-function printSimpleSection(title, section, labelA, labelB) {
+/**
+ * Print only the report header and the per-category summary counts.
+ */
+export function printSummary(diff) {
+    const { labelA, labelB } = diff;
+    const c = colors;
+
+    console.log();
+    console.log(c.bold(c.cyan('╔══════════════════════════════════════════════════════════════╗')));
+    console.log(c.bold(c.cyan('║          DATABASE SCHEMA COMPARISON REPORT                  ║')));
+    console.log(c.bold(c.cyan('╚══════════════════════════════════════════════════════════════╝')));
+    console.log();
+    console.log(`  ${c.bold('A')}: ${c.magenta(labelA)}`);
+    console.log(`  ${c.bold('B')}: ${c.blue(labelB)}`);
+    if (diff.schemas && diff.schemas.length) {
+        console.log(`  ${c.bold('Schemas')}: ${diff.schemas.join(', ')}`);
+    }
+    console.log();
+
+    // ── Summary ──
+    const stats = computeStats(diff);
+    console.log(c.bold('─── SUMMARY ───────────────────────────────────────────────────'));
+    console.log(`  Extensions: ${c.green(stats.extensionsOnlyA + ' only in A')}  │  ${c.blue(stats.extensionsOnlyB + ' only in B')}  │  ${c.yellow(stats.extensionsChanged + ' changed')}`);
+    console.log(`  Tables:     ${c.green(stats.tablesOnlyA + ' only in A')}  │  ${c.blue(stats.tablesOnlyB + ' only in B')}  │  ${c.white(stats.tablesCommon + ' shared')}${stats.tablesChanged ? `  │  ${c.yellow(stats.tablesChanged + ' changed type')}` : ''}`);
+    console.log(`  Views:      ${c.green(stats.viewsOnlyA + ' only in A')}  │  ${c.blue(stats.viewsOnlyB + ' only in B')}  │  ${c.yellow(stats.viewsChanged + ' changed')}`);
+    console.log(`  Columns:    ${c.yellow(stats.columnsChanged + ' changed')}  │  ${c.green(stats.columnsOnlyA + ' only in A')}  │  ${c.blue(stats.columnsOnlyB + ' only in B')}`);
+    console.log(`  Indexes:    ${c.green(stats.indexesOnlyA + ' only in A')}  │  ${c.blue(stats.indexesOnlyB + ' only in B')}  │  ${c.yellow(stats.indexesChanged + ' changed')}`);
+    console.log(`  ForeignKeys:${c.green(stats.fksOnlyA + ' only in A')}  │  ${c.blue(stats.fksOnlyB + ' only in B')}  │  ${c.yellow(stats.fksChanged + ' changed')}`);
+    console.log(`  Constraints:${c.green(stats.constraintsOnlyA + ' only in A')}  │  ${c.blue(stats.constraintsOnlyB + ' only in B')}  │  ${c.yellow(stats.constraintsChanged + ' changed')}`);
+    const sequencesLine = `  Sequences:  ${c.green(stats.sequencesOnlyA + ' only in A')}  │  ${c.blue(stats.sequencesOnlyB + ' only in B')}  │  ${c.yellow(stats.sequencesChanged + ' changed')}`;
+    console.log(stats.sequenceWarnings ? `${sequencesLine}  ${c.bold(c.red(`⚠ ${stats.sequenceWarnings} behind`))}` : sequencesLine);
+    console.log(`  Enums:      ${c.green(stats.enumsOnlyA + ' only in A')}  │  ${c.blue(stats.enumsOnlyB + ' only in B')}  │  ${c.yellow(stats.enumsChanged + ' changed')}`);
+    console.log(`  Domains:    ${c.green(stats.domainsOnlyA + ' only in A')}  │  ${c.blue(stats.domainsOnlyB + ' only in B')}  │  ${c.yellow(stats.domainsChanged + ' changed')}`);
+    console.log(`  Collations: ${c.green(stats.collationsOnlyA + ' only in A')}  │  ${c.blue(stats.collationsOnlyB + ' only in B')}  │  ${c.yellow(stats.collationsChanged + ' changed')}`);
+    const rlsLine = `  RLS:        ${c.yellow(stats.rowSecurityChanged + ' changed')}`;
+    console.log(stats.rlsWarnings ? `${rlsLine}  ${c.bold(c.red(`⚠ ${stats.rlsWarnings} unprotected`))}` : rlsLine);
+    console.log(`  Policies:   ${c.green(stats.policiesOnlyA + ' only in A')}  │  ${c.blue(stats.policiesOnlyB + ' only in B')}  │  ${c.yellow(stats.policiesChanged + ' changed')}`);
+    console.log(`  Functions:  ${c.green(stats.functionsOnlyA + ' only in A')}  │  ${c.blue(stats.functionsOnlyB + ' only in B')}  │  ${c.yellow(stats.functionsChanged + ' changed')}`);
+    console.log(`  Triggers:   ${c.green(stats.triggersOnlyA + ' only in A')}  │  ${c.blue(stats.triggersOnlyB + ' only in B')}  │  ${c.yellow(stats.triggersChanged + ' changed')}`);
+    console.log(`  Event trig.:${c.green(stats.eventTriggersOnlyA + ' only in A')}  │  ${c.blue(stats.eventTriggersOnlyB + ' only in B')}  │  ${c.yellow(stats.eventTriggersChanged + ' changed')}`);
+    const grantsLine = `  Grants:     ${c.green(stats.grantsOnlyA + ' only in A')}  │  ${c.blue(stats.grantsOnlyB + ' only in B')}  │  ${c.yellow(stats.grantsChanged + ' changed')}`;
+    // Grant drift is a security concern: flag it whenever any of it is breaking
+    console.log(stats.severityByCategory.grants.breaking ? `${grantsLine}  ${c.bold(c.red(`⚠ ${stats.severityByCategory.grants.breaking} breaking`))}` : grantsLine);
+    console.log(`  Severity:   ${c.bold(c.red(stats.breaking + ' breaking'))}  │  ${c.yellow(stats.risky + ' risky')}  │  ${c.dim(stats.cosmetic + ' cosmetic')}`);
+    if (stats.renamesPossible || stats.renamesConfirmed) {
+        console.log(`  Renames:    ${c.yellow(stats.renamesPossible + ' possible')}  │  ${c.green(stats.renamesConfirmed + ' confirmed')}`);
+    }
+    if (diff.data) {
+        console.log(`  Data:       ${stats.dataDiverged ? c.bold(c.red(stats.dataDiverged + ' diverged')) : c.green('0 diverged')}  │  ${c.white(stats.dataMatching + ' match')}` +
+            (stats.dataNotCompared ? `  │  ${c.yellow(stats.dataNotCompared + ' not compared')}` : ''));
+    }
+    if (stats.ignored) {
+        console.log(c.dim(`  Ignored:    ${stats.ignored} suppressed by ignore rules`));
+    }
+    if (stats.extensionObjects) {
+        console.log(c.dim(`  Extension objects: ${stats.extensionObjects} hidden (--show-extension-objects lists them)`));
+    }
+    console.log();
+}
+
+// Extensions are installed once per database, so they are not grouped by schema
+function printExtensionsSection(extensions, labelA, labelB) {
+    const c = colors;
+    if (!extensions.onlyInA.length && !extensions.onlyInB.length && !extensions.changed.length) return;
+
+    const describe = e => `${e.key} ${e.version}` + c.dim(` (schema ${e.schema})`);
+    console.log(c.bold('─── EXTENSIONS ────────────────────────────────────────────────'));
+    if (extensions.onlyInA.length) {
+        console.log(c.green(`  Only in A (${labelA}):`));
+        bySeverity(extensions.onlyInA).forEach(e => console.log(c.green(`      + ${describe(e)}`) + severityNote(e)));
+    }
+    if (extensions.onlyInB.length) {
+        console.log(c.blue(`  Only in B (${labelB}):`));
+        bySeverity(extensions.onlyInB).forEach(e => console.log(c.blue(`      + ${describe(e)}`) + severityNote(e)));
+    }
+    if (extensions.changed.length) {
+        console.log(c.yellow('  Changed:'));
+        bySeverity(extensions.changed).forEach(ch => {
+            console.log(c.yellow(`      ~ ${ch.key}`) + severityNote(ch));
+            printFieldDifferences(ch.differences);
+        });
+    }
+    console.log();
+}
+
+function printSimpleSection(title, section, labelA, labelB, verbose = false) {
     const c = colors;
     if (!section.onlyInA.length && !section.onlyInB.length && !section.changed.length) return;
 
+    // Lists are capped after sorting, so the most severe entries are always shown
+    const onlyCap = verbose ? Infinity : 15;
+    const changedCap = verbose ? Infinity : 10;
     console.log(c.bold(`─── ${title} ${'─'.repeat(Math.max(0, 60 - title.length - 5))}`));
     if (section.onlyInA.length) {
         console.log(c.green(`  Only in A (${labelA}): ${section.onlyInA.length} items`));
-        section.onlyInA.slice(0, 15).forEach(k => console.log(c.green(`    + ${k}`)));
-        if (section.onlyInA.length > 15) console.log(c.dim(`    ... and ${section.onlyInA.length - 15} more`));
+        printBySchema(bySeverity(section.onlyInA).slice(0, onlyCap), (k, e) => console.log(c.green(`      + ${k}`) + severityNote(e)));
+        if (section.onlyInA.length > onlyCap) console.log(c.dim(`    ... and ${section.onlyInA.length - onlyCap} more`));
     }
     if (section.onlyInB.length) {
         console.log(c.blue(`  Only in B (${labelB}): ${section.onlyInB.length} items`));
-        section.onlyInB.slice(0, 15).forEach(k => console.log(c.blue(`    + ${k}`)));
-        if (section.onlyInB.length > 15) console.log(c.dim(`    ... and ${section.onlyInB.length - 15} more`));
+        printBySchema(bySeverity(section.onlyInB).slice(0, onlyCap), (k, e) => console.log(c.blue(`      + ${k}`) + severityNote(e)));
+        if (section.onlyInB.length > onlyCap) console.log(c.dim(`    ... and ${section.onlyInB.length - onlyCap} more`));
     }
     if (section.changed.length) {
         console.log(c.yellow(`  Changed: ${section.changed.length} items`));
-        section.changed.slice(0, 10).forEach(ch => {
-            console.log(c.yellow(`    ~ ${ch.key}`));
+        printBySchema(bySeverity(section.changed).slice(0, changedCap), (k, ch) => {
+            const hint = ch.lineDiff && !verbose ? c.dim(' (definition differs; --verbose shows it)') : '';
+            console.log(c.yellow(`      ~ ${k}`) + hint + severityNote(ch));
+            if (ch.differences) printFieldDifferences(ch.differences);
+            if (ch.lineDiff && verbose) printUnifiedDiff(ch.lineDiff, labelA, labelB);
         });
-        if (section.changed.length > 10) console.log(c.dim(`    ... and ${section.changed.length - 10} more`));
+        if (section.changed.length > changedCap) console.log(c.dim(`    ... and ${section.changed.length - changedCap} more`));
+    }
+    console.log();
+}
+
+// Grants read as sentences ("anon has SELECT on table public.profiles in B
+// but not A"), breaking ones first and never capped
+function printGrantsSection(grants, labelA, labelB) {
+    const c = colors;
+    if (!grants.onlyInA.length && !grants.onlyInB.length && !grants.changed.length) return;
+
+    const breaking = categoryEntries({ grants }, 'grants').filter(e => e.severity === 'breaking').length;
+    console.log(c.bold(`─── GRANTS ${'─'.repeat(52)}`) + (breaking ? c.bold(c.red(`  ⚠ ${breaking} breaking`)) : ''));
+    for (const e of bySeverity(grants.onlyInA)) {
+        console.log(c.green(`    - ${e.description} in A (${labelA}) but not B`) + severityNote(e));
+    }
+    for (const e of bySeverity(grants.onlyInB)) {
+        console.log(c.blue(`    + ${e.description} in B (${labelB}) but not A`) + severityNote(e));
+    }
+    for (const ch of bySeverity(grants.changed)) {
+        console.log(c.yellow(`    ~ ${ch.description}: WITH GRANT OPTION ${ch.grantableA ? 'yes' : 'no'} → ${ch.grantableB ? 'yes' : 'no'}`) + severityNote(ch));
+    }
+    console.log();
+}
+
+// Problems found in one database on its own, listed per side
+function printWarnings(title, warnings, labelA, labelB) {
+    const c = colors;
+    if (!warnings.length) return;
+
+    console.log(c.bold(c.red(`─── ⚠ ${title} (${warnings.length}) ${'─'.repeat(Math.max(0, 52 - title.length - String(warnings.length).length))}`)));
+    for (const side of ['A', 'B']) {
+        const own = warnings.filter(w => w.side === side);
+        if (!own.length) continue;
+        console.log(c.red(`  In ${side} (${side === 'A' ? labelA : labelB}):`));
+        for (const w of own) console.log(`      ${c.red('!')} ${w.key}  ${c.dim(w.message)}`);
+    }
+    console.log();
+}
+
+// Tables and columns only in A paired with ones only in B under a new name.
+// Both objects are still listed in their own sections as a drop and an add.
+function printRenamesSection(renames) {
+    const c = colors;
+    if (!renames.length) return;
+
+    console.log(c.bold(`─── RENAMES (${renames.length}) ${'─'.repeat(Math.max(0, 50 - String(renames.length).length))}`));
+    printBySchema(renames, (from, r) => {
+        const status = r.status === 'confirmed' ? c.green('[confirmed]') : c.yellow(`[${Math.round(r.confidence * 100)}%]`);
+        console.log(c.yellow(`      ↻ ${from} → ${renamedTo(r)}`) + `  ${status} ${c.dim(r.reasons.join(', '))}`);
+    }, r => r.from);
+    if (renames.some(r => r.status !== 'confirmed')) {
+        console.log(c.dim('    Confirm or reject a pairing in .schemacomparerenames; confirmed ones are renamed by --sql'));
+    }
+    console.log();
+}
+
+// The new name of a rename without what it shares with the old one
+function renamedTo(r) {
+    return r.category === 'columns' ? r.to.slice(r.to.lastIndexOf('.') + 1) : splitKey(r.to)[1];
+}
+
+// Row counts, sizes and fingerprints of shared tables; tables whose
+// contents diverged are listed, with their differing rows when compared row
+// by row, and tables never analyzed are named as not compared
+function printDataSection(data, labelA, labelB, verbose) {
+    const c = colors;
+    const diverged = data.tables.filter(t => t.diverged);
+    const unanalyzed = data.tables.filter(t => t.unanalyzed && !t.diverged);
+    console.log(c.bold(`─── DATA (${diverged.length} diverged) ${'─'.repeat(Math.max(0, 41 - String(diverged.length).length))}`));
+    if (unanalyzed.length) {
+        console.log(c.yellow(`  ? Not compared, no row estimate (run ANALYZE or use --data-scan-unanalyzed): ${unanalyzed.map(t => t.key).join(', ')}`));
+    }
+    if (!diverged.length) {
+        const compared = data.tables.length - unanalyzed.length;
+        if (compared) console.log(c.green(`  ${unanalyzed.length ? '' : 'All '}${compared} shared table${compared !== 1 ? 's' : ''} match`));
+        console.log();
+        return;
+    }
+    printBySchema(diverged, (name, t) => {
+        const approx = t.exact ? '' : '≈';
+        console.log(c.red(`      ≠ ${name}`) + c.dim(`  rows ${approx}${formatCount(t.rowsA)} → ${approx}${formatCount(t.rowsB)}, size ${formatBytes(t.bytesA)} → ${formatBytes(t.bytesB)}`));
+        console.log(c.dim(`          ${t.reasons.join('; ')}`));
+        if (t.rows) printRowDifferences(t.rows, labelA, labelB, verbose);
+    });
+    const matching = data.tables.length - diverged.length - unanalyzed.length;
+    if (matching) console.log(c.dim(`    ${matching} other shared table${matching !== 1 ? 's' : ''} match`));
+    console.log();
+}
+
+// Rows of a small table that differ; cut short at MAX_ROWS unless verbose
+const MAX_ROWS = 10;
+
+function printRowDifferences(rows, labelA, labelB, verbose) {
+    const c = colors;
+    const lines = [
+        ...rows.onlyInA.map(row => c.green(`          - [A only] ${formatRow(row)}`)),
+        ...rows.onlyInB.map(row => c.blue(`          + [B only] ${formatRow(row)}`)),
+        ...rows.changed.map(ch => c.yellow(`          ~ ${formatRow(ch.key)}: `)
+            + ch.differences.map(df => `${df.column} ${c.magenta(formatValue(df.valueA))} → ${c.cyan(formatValue(df.valueB))}`).join(', ')),
+    ];
+    const shown = verbose ? lines : lines.slice(0, MAX_ROWS);
+    shown.forEach(line => console.log(line));
+    if (shown.length < lines.length) console.log(c.dim(`          … ${lines.length - shown.length} more (use --verbose to list all)`));
+}
+
+function formatRow(row) {
+    return Object.entries(row).map(([column, value]) => `${column}=${formatValue(value)}`).join(' ');
+}
+
+function formatValue(value) {
+    return value === null ? 'NULL' : value;
+}
+
+function rlsState(enabled, forced) {
+    return enabled ? (forced ? 'enabled, forced' : 'enabled') : (forced ? 'disabled (forced)' : 'disabled');
+}
+
+// Per-field A/B values of a changed object; the parts that differ are shown
+// in reverse video
+function printFieldDifferences(differences) {
+    const c = colors;
+    for (const df of differences) {
+        if (!df.inline) {
+            console.log(c.yellow(`          ${df.field}: ${c.magenta(String(df.valueA))} → ${c.cyan(String(df.valueB))}`));
+            continue;
+        }
+        const render = (keep, color) => df.inline
+            .filter(p => p.type === 'same' || p.type === keep)
+            .map(p => (p.type === 'same' ? color(p.text) : c.inverse(color(p.text))))
+            .join('');
+        console.log(c.yellow(`          ${df.field}:`));
+        console.log(`            ${c.dim('A:')} ${df.valueA === null ? c.dim('(none)') : render('removed', c.magenta)}`);
+        console.log(`            ${c.dim('B:')} ${df.valueB === null ? c.dim('(none)') : render('added', c.cyan)}`);
+    }
+}
+
+// A side-by-side line diff printed as a unified diff, with unchanged runs
+// collapsed and the changed characters of paired lines in reverse video
+function printUnifiedDiff(rows, labelA, labelB) {
+    const c = colors;
+    const mark = (parts, keep, color) => parts
+        .filter(p => p.type === 'same' || p.type === keep)
+        .map(p => (p.type === 'same' ? color(p.text) : c.inverse(color(p.text))))
+        .join('');
+    console.log(c.dim(`          --- A (${labelA})`));
+    console.log(c.dim(`          +++ B (${labelB})`));
+    for (const r of collapseUnchanged(rows)) {
+        if (r.type === 'skip') {
+            console.log(c.dim(`          … ${r.count} unchanged line${r.count !== 1 ? 's' : ''}`));
+        } else if (r.type === 'same') {
+            console.log(c.dim(`            ${r.a}`));
+        } else {
+            if (r.a !== null) console.log(`          ${c.magenta('-')} ${r.inline ? mark(r.inline, 'removed', c.magenta) : c.magenta(r.a)}`);
+            if (r.b !== null) console.log(`          ${c.cyan('+')} ${r.inline ? mark(r.inline, 'added', c.cyan) : c.cyan(r.b)}`);
+        }
+    }
+}
+
+// Differences in objects that belong to an extension, counted per extension
+// and category; they are not part of the report or the severity counts
+function printExtensionObjectsSection(hidden) {
+    const c = colors;
+    if (!hidden.length) return;
+
+    const byExtension = new Map();
+    for (const item of hidden) {
+        if (!byExtension.has(item.extension)) byExtension.set(item.extension, {});
+        const counts = byExtension.get(item.extension);
+        counts[item.category] = (counts[item.category] || 0) + 1;
+    }
+    console.log(c.bold(c.dim(`─── EXTENSION OBJECTS (${hidden.length} hidden) ${'─'.repeat(Math.max(0, 32 - String(hidden.length).length))}`)));
+    for (const [extension, counts] of [...byExtension].sort(([x], [y]) => x.localeCompare(y))) {
+        console.log(c.dim(`    ${extension}: ${Object.entries(counts).map(([category, n]) => `${n} ${category}`).join(', ')}`));
+    }
+    console.log();
+}
+
+function printIgnoredSection(ignored) {
+    const c = colors;
+    if (!ignored.length) return;
+
+    const sideLabel = { onlyInA: 'only in A', onlyInB: 'only in B', changed: 'changed' };
+    console.log(c.bold(c.dim(`─── IGNORED (${ignored.length}) ${'─'.repeat(Math.max(0, 50 - String(ignored.length).length))}`)));
+    for (const item of ignored.slice(0, 25)) {
+        const why = item.reason ? ` — ${item.reason}` : '';
+        console.log(c.dim(`    ${item.category}: ${item.key} (${sideLabel[item.side]}) [${item.pattern}]${why}`));
+    }
+    if (ignored.length > 25) console.log(c.dim(`    ... and ${ignored.length - 25} more`));
+    console.log();
+}
+
+// Print entries under a `[schema]` sub-heading per schema, most severe
+// first. `printItem` receives the key without its schema prefix and the
+// original entry. Objects without a schema (event triggers) get no heading.
+function printBySchema(items, printItem, keyFn = e => e.key) {
+    const groups = [...groupBySchema(items, keyFn)].sort(([x], [y]) => x.localeCompare(y));
+    for (const [schema, group] of groups) {
+        if (schema) console.log(colors.dim(`    [${schema}]`));
+        bySeverity(group, keyFn).forEach(item => printItem(splitKey(keyFn(item))[1], item));
+    }
+}
+
+/**
+ * Print an N-way comparison matrix: one row per drifting object, one column
+ * per environment. A cell shows the variant letter the environment has (or
+ * "—" when the object is missing); outliers are highlighted in red.
+ */
+export function printMatrixReport(matrix) {
+    const c = colors;
+    const stats = computeMatrixStats(matrix);
+    const width = Math.max(...matrix.labels.map(l => l.length), 3);
+
+    console.log();
+    console.log(c.bold(c.cyan('╔══════════════════════════════════════════════════════════════╗')));
+    console.log(c.bold(c.cyan('║          DATABASE SCHEMA COMPARISON MATRIX                   ║')));
+    console.log(c.bold(c.cyan('╚══════════════════════════════════════════════════════════════╝')));
+    console.log();
+    matrix.labels.forEach((label, i) => console.log(`  ${c.bold(String(i + 1))}: ${c.magenta(label)}`));
+    if (matrix.schemas.length) console.log(`  ${c.bold('Schemas')}: ${matrix.schemas.join(', ')}`);
+    console.log();
+
+    // ── Summary ──
+    console.log(c.bold('─── SUMMARY ───────────────────────────────────────────────────'));
+    for (const [category, counts] of Object.entries(stats.categories)) {
+        const drifted = counts.drifted ? c.yellow(`${counts.drifted} drifting`) : c.dim('0 drifting');
+        console.log(`  ${(category + ':').padEnd(15)}${drifted}  │  ${c.white(counts.identical + ' identical')}`);
+    }
+    console.log(`  ${'Outliers:'.padEnd(15)}${matrix.labels.map((l, i) => `${l} ${stats.outliers[i] ? c.red(stats.outliers[i]) : c.dim(0)}`).join('  │  ')}`);
+    if (stats.ignored) console.log(c.dim(`  Ignored:       ${stats.ignored} suppressed by ignore rules`));
+    if (stats.extensionObjects) console.log(c.dim(`  Extensions:    ${stats.extensionObjects} extension objects hidden`));
+    console.log();
+
+    // ── Grid per category ──
+    for (const [category, section] of Object.entries(matrix.categories)) {
+        if (!section.rows.length) continue;
+        console.log(c.bold(`─── ${category.toUpperCase()} ${'─'.repeat(Math.max(0, 55 - category.length))}`));
+        const keyWidth = Math.min(48, Math.max(...section.rows.map(r => r.key.length)));
+        console.log(c.dim(`    ${''.padEnd(keyWidth)}  ${matrix.labels.map(l => l.padEnd(width)).join('  ')}`));
+        for (const row of section.rows) {
+            const key = row.key.length > keyWidth ? row.key.slice(0, keyWidth - 1) + '…' : row.key.padEnd(keyWidth);
+            const cells = row.cells.map((cell, i) => {
+                const text = (cell === null ? '—' : variantLetter(cell)).padEnd(width);
+                return row.outliers.includes(i) ? c.bold(c.red(text)) : cell === null ? c.dim(text) : c.green(text);
+            });
+            console.log(`    ${key}  ${cells.join('  ')}`);
+            if (row.variants.length > 1) {
+                row.variants.forEach((text, v) => {
+                    const oneLine = text.replace(/\s+/g, ' ');
+                    console.log(c.dim(`        ${variantLetter(v)}: ${oneLine.length > 100 ? oneLine.slice(0, 99) + '…' : oneLine}`));
+                });
+            }
+        }
+        console.log();
     }
+
+    console.log(c.bold(c.cyan('══════════════════════════════════════════════════════════════')));
     console.log();
 }
 
+function variantLetter(index) {
+    return String.fromCharCode(65 + (index % 26)) + (index >= 26 ? Math.floor(index / 26) : '');
+}
+
+function bySeverity(entries, keyFn = e => e.key) {
+    return [...entries].sort(compareSeverity(keyFn));
+}
+
+// Severity tag and reason appended to an entry line
+function severityNote(entry) {
+    const c = colors;
+    const tag = { breaking: s => c.bold(c.red(s)), risky: c.yellow, cosmetic: c.dim }[entry.severity];
+    const extension = entry.extension ? c.dim(` (extension ${entry.extension})`) : '';
+    return `  ${tag(`[${entry.severity}]`)} ${c.dim(entry.reason)}${extension}`;
+}
+
 function computeStats(diff) {
     let columnsOnlyA = 0, columnsOnlyB = 0, columnsChanged = 0;
     for (const table of Object.values(diff.columns)) {
@@ -134,10 +542,31 @@ function computeStats(diff) {
         columnsOnlyB += table.onlyInB.length;
         columnsChanged += table.changed.length;
     }
+    // Severity counts, overall and per category
+    const severity = Object.fromEntries(SEVERITIES.map(sev => [sev, 0]));
+    const severityByCategory = {};
+    for (const category of CATEGORIES) {
+        const counts = severityByCategory[category] = Object.fromEntries(SEVERITIES.map(sev => [sev, 0]));
+        for (const entry of categoryEntries(diff, category)) {
+            counts[entry.severity]++;
+            severity[entry.severity]++;
+        }
+    }
+    // Entries suppressed by ignore rules are not part of the counts above
+    const ignored = diff.ignored || [];
+    const ignoredByCategory = {};
+    for (const item of ignored) ignoredByCategory[item.category] = (ignoredByCategory[item.category] || 0) + 1;
     return {
+        extensionsOnlyA: diff.extensions.onlyInA.length,
+        extensionsOnlyB: diff.extensions.onlyInB.length,
+        extensionsChanged: diff.extensions.changed.length,
         tablesOnlyA: diff.tables.onlyInA.length,
         tablesOnlyB: diff.tables.onlyInB.length,
         tablesCommon: diff.tables.common.length,
+        tablesChanged: diff.tables.changed.length,
+        viewsOnlyA: diff.views.onlyInA.length,
+        viewsOnlyB: diff.views.onlyInB.length,
+        viewsChanged: diff.views.changed.length,
         columnsOnlyA, columnsOnlyB, columnsChanged,
         indexesOnlyA: diff.indexes.onlyInA.length,
         indexesOnlyB: diff.indexes.onlyInB.length,
@@ -145,9 +574,24 @@ function computeStats(diff) {
         fksOnlyA: diff.foreignKeys.onlyInA.length,
         fksOnlyB: diff.foreignKeys.onlyInB.length,
         fksChanged: diff.foreignKeys.changed.length,
+        constraintsOnlyA: diff.constraints.onlyInA.length,
+        constraintsOnlyB: diff.constraints.onlyInB.length,
+        constraintsChanged: diff.constraints.changed.length,
+        sequencesOnlyA: diff.sequences.onlyInA.length,
+        sequencesOnlyB: diff.sequences.onlyInB.length,
+        sequencesChanged: diff.sequences.changed.length,
+        sequenceWarnings: (diff.sequenceWarnings || []).length,
         enumsOnlyA: diff.enums.onlyInA.length,
         enumsOnlyB: diff.enums.onlyInB.length,
         enumsChanged: diff.enums.changed.length,
+        domainsOnlyA: diff.domains.onlyInA.length,
+        domainsOnlyB: diff.domains.onlyInB.length,
+        domainsChanged: diff.domains.changed.length,
+        collationsOnlyA: diff.collations.onlyInA.length,
+        collationsOnlyB: diff.collations.onlyInB.length,
+        collationsChanged: diff.collations.changed.length,
+        rowSecurityChanged: diff.rowSecurity.changed.length,
+        rlsWarnings: (diff.rlsWarnings || []).length,
         policiesOnlyA: diff.policies.onlyInA.length,
         policiesOnlyB: diff.policies.onlyInB.length,
         policiesChanged: diff.policies.changed.length,
@@ -157,6 +601,23 @@ function computeStats(diff) {
         triggersOnlyA: diff.triggers.onlyInA.length,
         triggersOnlyB: diff.triggers.onlyInB.length,
         triggersChanged: diff.triggers.changed.length,
+        eventTriggersOnlyA: diff.eventTriggers.onlyInA.length,
+        eventTriggersOnlyB: diff.eventTriggers.onlyInB.length,
+        eventTriggersChanged: diff.eventTriggers.changed.length,
+        grantsOnlyA: diff.grants.onlyInA.length,
+        grantsOnlyB: diff.grants.onlyInB.length,
+        grantsChanged: diff.grants.changed.length,
+        renamesPossible: (diff.renames || []).filter(r => r.status !== 'confirmed').length,
+        renamesConfirmed: (diff.renames || []).filter(r => r.status === 'confirmed').length,
+        dataDiverged: diff.data ? diff.data.diverged : 0,
+        dataMatching: diff.data ? diff.data.tables.filter(t => !t.diverged && !t.unanalyzed).length : 0,
+        // Tables without a row estimate that were not scanned (see data.js)
+        dataNotCompared: diff.data ? diff.data.tables.filter(t => !t.diverged && t.unanalyzed).length : 0,
+        ...severity,
+        severityByCategory,
+        ignored: ignored.length,
+        ignoredByCategory,
+        extensionObjects: (diff.extensionObjects || []).length,
     };
 }
 
@@ -164,6 +625,7 @@ function computeStats(diff) {
 const colors = {
     bold: s => `\x1b[1m${s}\x1b[22m`,
     dim: s => `\x1b[2m${s}\x1b[22m`,
+    inverse: s => `\x1b[7m${s}\x1b[27m`,
     red: s => `\x1b[31m${s}\x1b[39m`,
     green: s => `\x1b[32m${s}\x1b[39m`,
     yellow: s => `\x1b[33m${s}\x1b[39m`,
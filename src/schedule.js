@@ -0,0 +1,131 @@
+/**
+ * Cron-style schedules for `watch`: five fields, minute hour day-of-month
+ * month day-of-week, in the server's local time (set TZ to change it).
+ *
+ *   0 * * * *                 every hour, on the hour
+ *   0-59/15 8-18 * * mon-fri  every 15 minutes during office hours on weekdays
+ *   30 6 * * mon              Mondays at 06:30
+ *   @daily                    midnight; also @hourly, @weekly, @monthly, @yearly
+ *
+ * Fields take `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`0-30/5`, or `*` with a step for the whole range); months and weekdays
+ * also take names (`jan`, `mon-fri`). As in cron, when both day fields are
+ * restricted a day matching either counts.
+ */
+
+const SHORTHANDS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+    // 7 is Sunday too
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+/**
+ * Parse a schedule. Returns `{ text, minutes, hours, days, months, weekdays,
+ * anyDay, anyWeekday }` with a Set of allowed values per field. Throws on
+ * malformed schedules.
+ */
+export function parseSchedule(text) {
+    if (typeof text !== 'string' || !text.trim()) throw new Error('Schedule is empty; expected e.g. "0 * * * *" or "@daily"');
+    const expanded = SHORTHANDS[text.trim().toLowerCase()] || text.trim();
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== 5) throw new Error(`Schedule "${text}" has ${parts.length} fields; expected 5 (minute hour day month weekday) or @hourly, @daily, ...`);
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], text));
+    if (weekdays.has(7)) weekdays.add(0);
+    return { text, minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/**
+ * Whether `schedule` fires in the minute of `date`.
+ */
+export function scheduleMatches(schedule, date) {
+    return schedule.minutes.has(date.getMinutes())
+        && schedule.hours.has(date.getHours())
+        && schedule.months.has(date.getMonth() + 1)
+        && dayMatches(schedule, date);
+}
+
+/**
+ * The first minute after `after` in which `schedule` fires, or null when it
+ * never does (e.g. "0 0 31 2 *").
+ */
+export function nextRun(schedule, after = new Date()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    // Skipping whole months, days and hours that cannot match keeps this to
+    // a few thousand steps even for yearly schedules
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + 5);
+    while (date < limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!dayMatches(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+function dayMatches(schedule, date) {
+    const day = schedule.days.has(date.getDate());
+    const weekday = schedule.weekdays.has(date.getDay());
+    if (schedule.anyDay) return weekday;
+    if (schedule.anyWeekday) return day;
+    return day || weekday;
+}
+
+function parseField(part, field, text) {
+    const values = new Set();
+    const fail = detail => {
+        throw new Error(`Schedule "${text}": ${field.name} "${part}" ${detail}`);
+    };
+    const value = raw => {
+        const name = field.names ? field.names.indexOf(raw.toLowerCase()) : -1;
+        const n = name !== -1 ? name + field.offset : /^\d+$/.test(raw) ? Number(raw) : NaN;
+        if (!Number.isInteger(n)) fail(`is not a number${field.names ? ' or name' : ''}`);
+        if (n < field.min || n > field.max) fail(`is out of range ${field.min}-${field.max}`);
+        return n;
+    };
+    for (const item of part.split(',')) {
+        const [range, stepText, extra] = item.split('/');
+        if (extra !== undefined || range === '') fail('is malformed');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) fail('has an invalid step');
+        let from, to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) fail('is malformed');
+            [from, to] = bounds.map(value);
+            if (from > to) fail('is a backwards range');
+        } else {
+            from = value(range);
+            // "5/15" means from 5 to the end in steps of 15, as in cron
+            to = stepText === undefined ? from : field.max;
+        }
+        for (let n = from; n <= to; n += step) values.add(n);
+    }
+    return values;
+}
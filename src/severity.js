@@ -0,0 +1,350 @@
+/**
+ * Severity rules for diff entries.
+ *
+ * Every entry is classified as `breaking`, `risky` or `cosmetic`, with a
+ * one-line reason. Direction-dependent rules read the diff as a change from
+ * A to B: an object only in A was dropped in B, an object only in B was added.
+ */
+
+// Ascending order, so an index comparison tells which severity is worse
+export const SEVERITIES = ['cosmetic', 'risky', 'breaking'];
+
+export function severityRank(severity) {
+    return SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Sort comparator: most severe first, then by key.
+ */
+export function compareSeverity(keyFn = e => e.key) {
+    return (x, y) => severityRank(y.severity) - severityRank(x.severity) || String(keyFn(x)).localeCompare(String(keyFn(y)));
+}
+
+/**
+ * Classify one diff entry. `side` is `onlyInA`, `onlyInB` or `changed`;
+ * `a` and `b` are the extracted objects on each side (only one of them for an
+ * only-in entry), `extra` carries category-specific details such as the
+ * column `differences`. Returns `{ severity, reason }`.
+ */
+export function classify(category, side, { a, b, ...extra } = {}) {
+    const rules = RULES[category];
+    if (side === 'changed') return rules.changed(a, b, extra);
+    return side === 'onlyInA' ? rules.dropped(a, extra) : rules.added(b, extra);
+}
+
+const verdict = (severity, reason) => ({ severity, reason });
+
+const RULES = {
+    extensions: {
+        dropped: () => verdict('breaking', 'Extension dropped in B; its functions and types are gone and code using them fails'),
+        added: () => verdict('cosmetic', 'Extension added in B'),
+        changed: (a, b) => (a.extension_schema !== b.extension_schema
+            ? verdict('risky', `Extension lives in schema ${b.extension_schema} in B; references qualified with ${a.extension_schema} fail`)
+            : verdict('risky', `Extension version ${a.extension_version} → ${b.extension_version}; functions and types may behave differently`)),
+    },
+
+    tables: {
+        dropped: () => verdict('breaking', 'Table dropped in B; queries against it fail'),
+        added: () => verdict('cosmetic', 'Table added in B; additive change'),
+        changed: (a, b, { typeA, typeB }) => verdict('breaking', `${capitalize(typeA.toLowerCase())} became a ${typeB.toLowerCase()} in B; writes and DDL against it behave differently`),
+    },
+
+    views: {
+        dropped: v => verdict('breaking', `${capitalize(v.kind)} dropped in B; queries against it fail`),
+        added: v => verdict('cosmetic', `${capitalize(v.kind)} added in B`),
+        changed: (a, b) => {
+            if (a.kind !== b.kind) return verdict('breaking', `${capitalize(a.kind)} became a ${b.kind} in B; its data is refreshed differently`);
+            if (a.security_invoker !== b.security_invoker) {
+                return verdict('breaking', 'security_invoker differs; the view checks permissions and RLS as a different role');
+            }
+            if (a.security_barrier !== b.security_barrier) {
+                return verdict('risky', 'security_barrier differs; leaky functions may see rows the view filters out');
+            }
+            return verdict('risky', 'View query differs; it returns different rows or columns');
+        },
+    },
+
+    columns: {
+        dropped: () => verdict('breaking', 'Column dropped in B; queries selecting or writing it fail'),
+        added: col => (col && col.is_nullable === 'NO' && col.column_default === null && col.is_identity !== 'YES' && col.is_generated !== 'ALWAYS'
+            ? verdict('breaking', 'New NOT NULL column without a default; inserts that omit it fail')
+            : verdict('cosmetic', 'Column added in B; additive change')),
+        changed: (a, b, { differences = [] }) => worst(differences.map(df => classifyColumnField(df, a, b))),
+    },
+
+    indexes: {
+        dropped: def => (isUnique(def)
+            ? verdict('breaking', 'Unique index dropped in B; duplicates are no longer rejected')
+            : verdict('risky', 'Index dropped in B; queries may get slower')),
+        added: def => (isUnique(def)
+            ? verdict('risky', 'Unique index added in B; existing duplicates make it fail to build')
+            : verdict('cosmetic', 'Index added in B')),
+        changed: (defA, defB) => (isUnique(defA) && !isUnique(defB)
+            ? verdict('breaking', 'Index is no longer unique in B; duplicates are no longer rejected')
+            : verdict('risky', 'Index definition differs; query plans may change')),
+    },
+
+    foreignKeys: {
+        dropped: () => verdict('risky', 'Foreign key dropped in B; referential integrity is no longer enforced'),
+        added: () => verdict('risky', 'Foreign key added in B; orphaned rows make it fail to validate'),
+        changed: () => verdict('risky', 'Foreign key points at different columns'),
+    },
+
+    constraints: {
+        dropped: def => (constraintKind(def) === 'CHECK'
+            ? verdict('risky', 'CHECK constraint dropped in B; invalid values are no longer rejected')
+            : verdict('breaking', `${constraintKind(def)} constraint dropped in B; uniqueness is no longer enforced and ON CONFLICT targets break`)),
+        added: def => verdict('risky', `${constraintKind(def)} constraint added in B; existing rows or writes may be rejected`),
+        changed: () => verdict('risky', 'Constraint definition differs; different rows are accepted'),
+    },
+
+    sequences: {
+        dropped: s => verdict('breaking', s && s.column_name
+            ? `Sequence dropped in B; inserts into ${s.table_name}.${s.column_name} no longer get a value from it`
+            : 'Sequence dropped in B; defaults and nextval() calls using it fail'),
+        added: () => verdict('cosmetic', 'Sequence added in B'),
+        changed: (a, b, { differences = [] }) => worst(differences.map(df => classifySequenceField(df))),
+    },
+
+    enums: {
+        dropped: () => verdict('breaking', 'Enum type dropped in B; columns and casts using it fail'),
+        added: () => verdict('cosmetic', 'Enum type added in B'),
+        changed: (valuesA, valuesB) => {
+            const removed = valuesA.filter(v => !valuesB.includes(v));
+            return removed.length
+                ? verdict('breaking', `Enum values removed in B: ${removed.join(', ')}`)
+                : verdict('cosmetic', 'Enum values added in B; additive change');
+        },
+    },
+
+    domains: {
+        dropped: () => verdict('breaking', 'Domain dropped in B; columns and casts using it fail'),
+        added: () => verdict('cosmetic', 'Domain added in B'),
+        changed: (a, b, { differences = [] }) => worst(differences.map(df => classifyDomainField(df))),
+    },
+
+    collations: {
+        dropped: () => verdict('breaking', 'Collation dropped in B; columns and expressions using it fail'),
+        added: () => verdict('cosmetic', 'Collation added in B'),
+        changed: () => verdict('risky', 'Collation settings differ; text sorts and compares differently, and indexes using it may need a REINDEX'),
+    },
+
+    // Only changes: a table missing on one side is table drift
+    rowSecurity: {
+        changed: (a, b) => {
+            if (a.rls_enabled && !b.rls_enabled) {
+                return verdict('breaking', 'RLS disabled in B; policies no longer apply and every row is exposed');
+            }
+            if (!a.rls_enabled && b.rls_enabled) {
+                return verdict('risky', 'RLS enabled in B; roles without a matching policy see no rows');
+            }
+            return a.rls_forced
+                ? verdict('risky', 'RLS no longer forced in B; the table owner bypasses policies')
+                : verdict('risky', 'RLS forced in B; the table owner is subject to policies');
+        },
+    },
+
+    policies: {
+        dropped: () => verdict('breaking', 'RLS policy dropped in B; row access differs'),
+        added: () => verdict('risky', 'RLS policy added in B; row access differs'),
+        changed: (a, b, { differences = [] }) => {
+            const fields = differences.map(df => df.field);
+            if (fields.length === 1 && fields[0] === 'permissive') {
+                return verdict('breaking', `Policy became ${b.permissive} in B; it combines with other policies differently`);
+            }
+            return verdict('breaking', `RLS policy ${fields.join(', ')} ${fields.length > 1 ? 'differ' : 'differs'}; different rows are visible or writable`);
+        },
+    },
+
+    functions: {
+        dropped: () => verdict('breaking', 'Function dropped in B; callers fail'),
+        added: () => verdict('cosmetic', 'Function added in B'),
+        changed: (a, b, { bodyChanged }) => {
+            if (a.return_type !== b.return_type || a.arguments !== b.arguments || a.kind !== b.kind) {
+                return verdict('breaking', 'Function signature differs; callers may fail');
+            }
+            if (a.security_definer !== b.security_definer) {
+                return verdict('breaking', 'SECURITY DEFINER differs; the function runs with different privileges');
+            }
+            if (a.language !== b.language || a.volatility !== b.volatility || a.strict !== b.strict || a.config !== b.config) {
+                return verdict('risky', 'Function settings differ (language, volatility, strictness or configuration)');
+            }
+            if (bodyChanged) return verdict('risky', 'Function body differs');
+            return verdict('cosmetic', 'Only the planner cost estimate differs');
+        },
+    },
+
+    triggers: {
+        dropped: () => verdict('risky', 'Trigger dropped in B; its side effects no longer run'),
+        added: t => (t && t.enabled && !firesNormally(t.enabled)
+            ? verdict('cosmetic', `Trigger added in B but ${TRIGGER_STATES[t.enabled]}; it does not fire on ordinary writes`)
+            : verdict('risky', 'Trigger added in B; writes get new side effects')),
+        changed: (a, b, { differences = [] }) => worst(differences.map(df => classifyTriggerField('Trigger', df))),
+    },
+
+    eventTriggers: {
+        dropped: () => verdict('risky', 'Event trigger dropped in B; DDL no longer runs it'),
+        added: () => verdict('risky', 'Event trigger added in B; DDL gets new side effects'),
+        changed: (a, b, { differences = [] }) => worst(differences.map(df => classifyTriggerField('Event trigger', df))),
+    },
+
+    grants: {
+        dropped: g => (g.object_type === 'default'
+            ? verdict('risky', `New ${g.object_name} in B no longer grant ${g.privilege_type} to ${g.grantee} automatically`)
+            : verdict('breaking', `${g.grantee} lost ${g.privilege_type} in B; its queries fail with permission denied`)),
+        added: g => (EXPOSED_ROLES.includes(g.grantee)
+            ? verdict('breaking', `${g.grantee} gained ${g.privilege_type} in B; any client can use it, possibly a leaked grant`)
+            : verdict('risky', `${g.grantee} gained ${g.privilege_type} in B; check it is intended`)),
+        changed: (a, b) => (b.is_grantable
+            ? verdict(EXPOSED_ROLES.includes(b.grantee) ? 'breaking' : 'risky', `${b.grantee} can pass ${b.privilege_type} on to other roles in B (WITH GRANT OPTION)`)
+            : verdict('cosmetic', `${b.grantee} can no longer pass ${b.privilege_type} on to other roles in B`)),
+    },
+};
+
+// ---------- Grants ----------
+// Grantees any client can act as: PUBLIC, and Supabase's unauthenticated role
+const EXPOSED_ROLES = ['PUBLIC', 'anon'];
+
+// ---------- Columns ----------
+// Types that can be widened into one another without losing values
+const WIDENING = {
+    int2: ['int4', 'int8', 'numeric', 'float4', 'float8'],
+    int4: ['int8', 'numeric', 'float8'],
+    int8: ['numeric'],
+    float4: ['float8'],
+    varchar: ['text'],
+    bpchar: ['varchar', 'text'],
+    timestamp: ['timestamptz'],
+};
+
+function classifyColumnField(df, a, b) {
+    switch (df.field) {
+        case 'is_nullable':
+            return df.valueB === 'NO'
+                ? verdict('breaking', 'Column became NOT NULL in B; writes of NULL fail')
+                : verdict('risky', 'Column became nullable in B; readers may see NULLs');
+        case 'data_type':
+        case 'udt_name': {
+            const from = a && a.udt_name, to = b && b.udt_name;
+            if (from && to && from !== to && (WIDENING[from] || []).includes(to)) {
+                return verdict('risky', `Type widened from ${from} to ${to}`);
+            }
+            return verdict('breaking', `Type changed from ${from || df.valueA} to ${to || df.valueB}; values may not convert`);
+        }
+        case 'character_maximum_length':
+        case 'numeric_precision':
+        case 'numeric_scale':
+            return narrows(df.valueA, df.valueB)
+                ? verdict('breaking', `${df.field} narrowed from ${df.valueA ?? 'unbounded'} to ${df.valueB}; existing values may not fit`)
+                : verdict('cosmetic', `${df.field} widened from ${df.valueA} to ${df.valueB ?? 'unbounded'}`);
+        case 'column_default':
+            return verdict('risky', 'Column default differs; inserts that omit the column get different values');
+        case 'domain_schema':
+        case 'domain_name':
+            return verdict('risky', `Column domain changed from ${df.valueA ?? 'none'} to ${df.valueB ?? 'none'}; different constraints apply to its values`);
+        case 'collation_name':
+            return verdict('risky', 'Column collation differs; sorting, comparisons and unique checks on it behave differently');
+        default:
+            return verdict('risky', `${df.field} differs`);
+    }
+}
+
+// Whether a size limit got smaller going from A to B (null means unbounded)
+function narrows(valueA, valueB) {
+    if (valueB === null || valueB === undefined) return false;
+    if (valueA === null || valueA === undefined) return true;
+    return Number(valueB) < Number(valueA);
+}
+
+// ---------- Sequences ----------
+function classifySequenceField(df) {
+    switch (df.field) {
+        case 'data_type':
+        case 'min_value':
+        case 'max_value':
+            return verdict('risky', `Sequence ${df.field} differs; it runs out of values at a different point`);
+        case 'increment_by':
+            return verdict('risky', `Sequence increment changed from ${df.valueA} to ${df.valueB}; generated values follow a different pattern`);
+        case 'cycle':
+            return df.valueB
+                ? verdict('risky', 'Sequence cycles in B; at its limit it wraps around and hands out used values')
+                : verdict('risky', 'Sequence no longer cycles in B; at its limit nextval() fails');
+        case 'owned_by':
+            return verdict('risky', `Sequence is owned by ${df.valueB ?? 'no column'} in B; it is dropped along with a different column`);
+        case 'owner':
+            return verdict('risky', `Sequence owner changed from ${df.valueA} to ${df.valueB}; a different role can alter it`);
+        default:
+            return verdict('cosmetic', `Sequence ${df.field} differs`);
+    }
+}
+
+// ---------- Domains ----------
+function classifyDomainField(df) {
+    switch (df.field) {
+        case 'data_type':
+            return verdict('breaking', `Domain base type changed from ${df.valueA} to ${df.valueB}; values may not convert`);
+        case 'not_null':
+            return df.valueB
+                ? verdict('breaking', 'Domain became NOT NULL in B; writes of NULL fail')
+                : verdict('risky', 'Domain became nullable in B; readers may see NULLs');
+        case 'constraints':
+            return verdict('risky', 'Domain CHECK constraints differ; different values are accepted');
+        case 'default_value':
+            return verdict('risky', 'Domain default differs; inserts that omit its columns get different values');
+        case 'collation_name':
+            return verdict('risky', 'Domain collation differs; its values sort and compare differently');
+        default:
+            return verdict('risky', `Domain ${df.field} differs`);
+    }
+}
+
+// ---------- Triggers ----------
+// `enabled` is enabled, disabled, replica (fires only when
+// session_replication_role is replica) or always
+function firesNormally(enabled) {
+    return enabled === 'enabled' || enabled === 'always';
+}
+
+const TRIGGER_STATES = { enabled: 'enabled', disabled: 'disabled', replica: 'replica-only', always: 'always enabled' };
+
+function classifyTriggerField(kind, df) {
+    switch (df.field) {
+        case 'enabled': {
+            const stateA = TRIGGER_STATES[df.valueA], stateB = TRIGGER_STATES[df.valueB];
+            if (firesNormally(df.valueA) && !firesNormally(df.valueB)) {
+                return verdict('breaking', `${kind} is ${stateB} in B; its side effects no longer run`);
+            }
+            if (!firesNormally(df.valueA) && firesNormally(df.valueB)) {
+                return verdict('risky', `${kind} is ${stateA} in A but fires in B; B gets side effects A does not have`);
+            }
+            return verdict('risky', `${kind} is ${stateA} in A and ${stateB} in B; it fires differently during replication`);
+        }
+        case 'when_condition':
+            return verdict('risky', `${kind} WHEN condition differs; it fires for different rows`);
+        case 'action_statement':
+        case 'function_name':
+            return verdict('risky', `${kind} calls a different function; its side effects differ`);
+        case 'definition':
+            return verdict('risky', `${kind} definition differs`);
+        default:
+            return verdict('risky', `${kind} fires on different events or at a different time`);
+    }
+}
+
+// ---------- Helpers ----------
+function worst(verdicts) {
+    return verdicts.reduce((w, v) => (severityRank(v.severity) > severityRank(w.severity) ? v : w), verdicts[0] || verdict('cosmetic', 'No material difference'));
+}
+
+function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function isUnique(indexdef) {
+    return /^CREATE UNIQUE INDEX/i.test(indexdef || '');
+}
+
+function constraintKind(definition) {
+    const match = /^(PRIMARY KEY|UNIQUE|CHECK|EXCLUDE)/i.exec(definition || '');
+    return match ? match[1].toUpperCase() : 'Table';
+}
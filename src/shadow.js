@@ -0,0 +1,70 @@
+import pg from 'pg';
+import { readdirSync, readFileSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { extractSchema } from './extract.js';
+const { Client } = pg;
+
+/**
+ * Build the schema described by a folder of migration files.
+ *
+ * The `*.sql` files in `dir` are applied in filename order (the timestamp
+ * prefix Supabase uses) to a throwaway database, the result is extracted with
+ * `extractSchema`, and the throwaway database is dropped again.
+ *
+ * By default a fresh database is created next to the one in `shadowUrl`, so
+ * the role needs CREATEDB. With `inPlace: true` the migrations are applied
+ * directly to `shadowUrl`, which must then point at an empty database.
+ */
+export async function extractFromMigrations(dir, shadowUrl, label = 'migrations', options = {}) {
+    const files = listMigrationFiles(dir);
+    if (!files.length) throw new Error(`No .sql migration files found in ${dir}`);
+    const log = options.quiet ? () => {} : console.log;
+    log(`  ✓ Found ${files.length} migration files in ${dir}`);
+
+    if (options.inPlace) {
+        await applyMigrations(shadowUrl, files, log);
+        return extractSchema(shadowUrl, label, options);
+    }
+
+    const dbName = `schema_compare_shadow_${Date.now()}`;
+    const admin = new Client({ connectionString: shadowUrl, ssl: { rejectUnauthorized: false } });
+    await admin.connect();
+    try {
+        await admin.query(`CREATE DATABASE ${dbName}`);
+        log(`  ✓ Created shadow database ${dbName}`);
+        const url = new URL(shadowUrl);
+        url.pathname = `/${dbName}`;
+        await applyMigrations(url.toString(), files, log);
+        return await extractSchema(url.toString(), label, options);
+    } finally {
+        await admin.query(`DROP DATABASE IF EXISTS ${dbName}`).catch(err =>
+            console.error(`  ✗ Could not drop shadow database ${dbName}: ${err.message}`));
+        await admin.end();
+    }
+}
+
+function listMigrationFiles(dir) {
+    const root = resolve(dir);
+    return readdirSync(root)
+        .filter(name => name.toLowerCase().endsWith('.sql'))
+        .map(name => join(root, name))
+        .filter(path => statSync(path).isFile())
+        .sort();
+}
+
+async function applyMigrations(connectionString, files, log) {
+    const client = new Client({ connectionString, ssl: { rejectUnauthorized: false } });
+    await client.connect();
+    try {
+        for (const file of files) {
+            try {
+                await client.query(readFileSync(file, 'utf-8'));
+            } catch (err) {
+                throw new Error(`Migration ${file} failed: ${err.message}`);
+            }
+        }
+        log(`  ✓ Applied ${files.length} migrations`);
+    } finally {
+        await client.end();
+    }
+}
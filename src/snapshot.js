@@ -0,0 +1,104 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { extractSchema } from './extract.js';
+
+export const SNAPSHOT_FORMAT = 'schema-compare-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+// Object categories of an extracted schema. Snapshots written before a
+// category was added are read back with that category empty.
+const SCHEMA_CATEGORIES = [
+    'extensions', 'tables', 'views', 'columns', 'indexes', 'foreignKeys', 'constraints',
+    'sequences', 'enums', 'domains', 'collations', 'policies', 'functions', 'triggers', 'eventTriggers', 'grants',
+];
+
+/**
+ * Save an extracted schema to a versioned JSON snapshot file.
+ */
+export function saveSnapshot(schema, outputPath, label = 'database') {
+    const snapshot = {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        label,
+        createdAt: new Date().toISOString(),
+        schema,
+    };
+    writeFileSync(outputPath, JSON.stringify(snapshot, null, 2), 'utf-8');
+    return outputPath;
+}
+
+/**
+ * Read a snapshot file written by `saveSnapshot`. Throws if the file is not
+ * a snapshot or was written by a newer, incompatible version of the tool.
+ */
+export function loadSnapshot(path) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+        throw new Error(`Cannot read snapshot ${path}: ${err.message}`);
+    }
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new Error(`${path} is not a schema-compare snapshot`);
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot ${path} uses format version ${snapshot.version}; this tool supports up to ${SNAPSHOT_VERSION}`);
+    }
+    // Snapshots taken before views were captured list them as tables; drop
+    // those rows so they are not compared as tables without a definition
+    if (!Array.isArray(snapshot.schema.views)) dropLegacyViews(snapshot.schema);
+    if ((snapshot.schema.triggers || []).some(t => t.event_manipulation)) mergeLegacyTriggers(snapshot.schema);
+    for (const category of SCHEMA_CATEGORIES) {
+        if (!Array.isArray(snapshot.schema[category])) snapshot.schema[category] = [];
+    }
+    return snapshot;
+}
+
+function dropLegacyViews(schema) {
+    const views = new Set((schema.tables || []).filter(t => t.table_type === 'VIEW').map(t => `${t.table_schema}.${t.table_name}`));
+    if (!views.size) return;
+    schema.tables = schema.tables.filter(t => !views.has(`${t.table_schema}.${t.table_name}`));
+    schema.columns = (schema.columns || []).filter(c => !views.has(`${c.table_schema}.${c.table_name}`));
+}
+
+// Snapshots taken from information_schema.triggers have one row per trigger
+// event; merge them into one row per trigger. They do not record the WHEN
+// condition, enabled state or definition, which are then not compared.
+const EVENT_ORDER = ['INSERT', 'UPDATE', 'DELETE', 'TRUNCATE'];
+
+function mergeLegacyTriggers(schema) {
+    const merged = new Map();
+    for (const { event_manipulation: event, ...t } of schema.triggers) {
+        const key = `${t.event_object_schema}.${t.event_object_table}::${t.trigger_name}`;
+        if (!merged.has(key)) merged.set(key, { ...t, events: [] });
+        merged.get(key).events.push(event);
+    }
+    schema.triggers = [...merged.values()].map(t => ({
+        ...t,
+        events: t.events.sort((x, y) => EVENT_ORDER.indexOf(x) - EVENT_ORDER.indexOf(y)).join(' OR '),
+    }));
+}
+
+/**
+ * A source is a snapshot when it is not a Postgres connection URL and
+ * points at an existing file (or at least looks like a .json path).
+ */
+export function isSnapshotSource(source) {
+    if (typeof source !== 'string' || /^postgres(ql)?:\/\//i.test(source)) return false;
+    return source.toLowerCase().endsWith('.json') || existsSync(source);
+}
+
+/**
+ * Load a schema from either a live connection string or a snapshot path, so
+ * callers can diff live-vs-live, snapshot-vs-live or snapshot-vs-snapshot.
+ */
+export async function loadSchema(source, label = 'database', options = {}) {
+    if (!isSnapshotSource(source)) {
+        return extractSchema(source, label, options);
+    }
+    const snapshot = loadSnapshot(source);
+    const { schema } = snapshot;
+    const log = options.quiet ? () => {} : console.log;
+    log(`  ✓ Loaded snapshot for ${label} from ${source} (taken ${snapshot.createdAt})`);
+    log(`  ✓ Snapshot of ${label} has ${(schema.schemas || []).length} schemas, ${schema.tables.length} tables, ${schema.views.length} views, ${schema.columns.length} columns`);
+    return schema;
+}
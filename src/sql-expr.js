@@ -0,0 +1,615 @@
+/**
+ * A small parser for the SQL expressions Postgres stores for RLS policies
+ * (`USING` / `WITH CHECK`), so two expressions can be compared by meaning
+ * rather than by spelling.
+ *
+ * Parsing drops redundant parentheses, whitespace and keyword case, and
+ * folds a few equivalent spellings into one: `!=` and `<>`, `LIKE` and `~~`,
+ * `x IN (a, b)` and `x = ANY (ARRAY[a, b])`, and common type name aliases in
+ * casts. Subqueries are not parsed; they are compared token by token.
+ */
+
+import { normalizeWhitespace } from './text-diff.js';
+
+/**
+ * Parse an expression into a plain tree of `{ type, ... }` nodes.
+ * Throws an Error when the text is not an expression this parser understands.
+ */
+export function parseExpression(sql) {
+    const parser = new Parser(tokenize(String(sql)));
+    const tree = parser.expression(0);
+    if (!parser.done()) parser.fail('unexpected');
+    return tree;
+}
+
+/**
+ * A canonical string for an expression: equal strings mean equivalent
+ * expressions. Falls back to the whitespace-normalized text when the
+ * expression cannot be parsed. Empty and missing expressions give ''.
+ */
+export function normalizeExpression(sql) {
+    if (sql === null || sql === undefined || String(sql).trim() === '') return '';
+    try {
+        return JSON.stringify(parseExpression(sql));
+    } catch {
+        return `raw:${normalizeWhitespace(sql)}`;
+    }
+}
+
+/**
+ * Whether two expressions are equivalent up to formatting.
+ */
+export function expressionsEqual(a, b) {
+    return normalizeExpression(a) === normalizeExpression(b);
+}
+
+// ---------- Tokenizer ----------
+const OPERATOR_CHARS = '+-*/<>=~!@#%^&|`?';
+
+function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+    while (i < sql.length) {
+        const ch = sql[i];
+        if (/\s/.test(ch)) { i++; continue; }
+
+        // Quoted identifier; "" is an escaped quote
+        if (ch === '"') {
+            let value = '';
+            i++;
+            while (i < sql.length && !(sql[i] === '"' && sql[i + 1] !== '"')) {
+                value += sql[i];
+                i += sql[i] === '"' ? 2 : 1;
+            }
+            i++;
+            tokens.push({ type: 'ident', value, quoted: true });
+            continue;
+        }
+
+        // String constant, with an optional E (escape) prefix
+        if (ch === "'" || (/[eE]/.test(ch) && sql[i + 1] === "'")) {
+            const escapes = ch !== "'";
+            i += escapes ? 2 : 1;
+            let value = '';
+            while (i < sql.length) {
+                if (escapes && sql[i] === '\\') { value += sql.slice(i, i + 2); i += 2; continue; }
+                if (sql[i] === "'" && sql[i + 1] === "'") { value += "'"; i += 2; continue; }
+                if (sql[i] === "'") break;
+                value += sql[i++];
+            }
+            i++;
+            tokens.push({ type: 'string', value: escapes ? `E:${value}` : value });
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/.exec(sql.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: number[1] });
+            i += number[1].length;
+            continue;
+        }
+
+        const word = /^[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/.exec(sql.slice(i));
+        if (word) {
+            tokens.push({ type: 'ident', value: word[0].toLowerCase(), quoted: false });
+            i += word[0].length;
+            continue;
+        }
+
+        const param = /^\$\d+/.exec(sql.slice(i));
+        if (param) {
+            tokens.push({ type: 'param', value: param[0] });
+            i += param[0].length;
+            continue;
+        }
+
+        if (ch === ':' && sql[i + 1] === ':') {
+            tokens.push({ type: 'op', value: '::' });
+            i += 2;
+            continue;
+        }
+
+        if ('()[],.;:'.includes(ch)) {
+            tokens.push({ type: 'punct', value: ch });
+            i++;
+            continue;
+        }
+
+        if (OPERATOR_CHARS.includes(ch)) {
+            let end = i;
+            while (end < sql.length && OPERATOR_CHARS.includes(sql[end])) end++;
+            let op = sql.slice(i, end);
+            // As in Postgres, a multi-character operator only ends in + or -
+            // when it also contains one of ~!@#%^&|`?, so `=-1` is `=` then `-1`
+            if (op.length > 1 && !/[~!@#%^&|`?]/.test(op)) op = op.replace(/[+-]+$/, '') || op[0];
+            tokens.push({ type: 'op', value: op });
+            i += op.length;
+            continue;
+        }
+
+        throw new Error(`Unexpected character "${ch}" in expression`);
+    }
+    return tokens;
+}
+
+// ---------- Parser ----------
+// Binding powers, loosest first, following Postgres operator precedence
+const BP = {
+    or: 1, and: 2, not: 3, is: 4, comparison: 5, like: 6, other: 7,
+    additive: 8, multiplicative: 9, exponent: 10, at: 11, unary: 12, subscript: 13, cast: 14,
+};
+
+const COMPARISON = new Set(['=', '<', '>', '<=', '>=', '<>', '!=']);
+
+// Spellings that mean the same operator
+const OPERATOR_ALIASES = { '!=': '<>', like: '~~', ilike: '~~*', 'not like': '!~~', 'not ilike': '!~~*' };
+
+// Keywords that never start an operand, so an identifier with this name
+// must be quoted to be one
+const RESERVED = new Set([
+    'and', 'or', 'not', 'is', 'in', 'like', 'ilike', 'similar', 'between', 'then', 'when',
+    'else', 'end', 'from', 'as', 'escape', 'collate', 'at', 'isnull', 'notnull', 'distinct',
+]);
+
+// Type names that share a meaning, spelled the way format_type() does
+const TYPE_ALIASES = {
+    int: 'integer', int4: 'integer', int2: 'smallint', int8: 'bigint',
+    float4: 'real', float8: 'double precision', float: 'double precision',
+    bool: 'boolean', varchar: 'character varying', char: 'character', bpchar: 'character',
+    decimal: 'numeric', timestamptz: 'timestamp with time zone', timetz: 'time with time zone',
+    timestamp: 'timestamp without time zone', time: 'time without time zone',
+};
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    done() {
+        return this.pos >= this.tokens.length;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    fail(what) {
+        const token = this.peek();
+        throw new Error(`${what} ${token ? `"${token.value}"` : 'end of expression'} at token ${this.pos + 1}`);
+    }
+
+    // Whether the next token is the keyword `word` (an unquoted identifier)
+    isKeyword(word, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'ident' && !token.quoted && token.value === word;
+    }
+
+    isPunct(value, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'punct' && token.value === value;
+    }
+
+    isOp(value, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'op' && token.value === value;
+    }
+
+    keyword(word) {
+        if (!this.isKeyword(word)) this.fail(`expected ${word.toUpperCase()}, got`);
+        this.next();
+    }
+
+    punct(value) {
+        if (!this.isPunct(value)) this.fail(`expected "${value}", got`);
+        this.next();
+    }
+
+    expression(minBp) {
+        let left = this.prefix();
+        for (;;) {
+            const infix = this.infixPower();
+            if (!infix || infix.bp <= minBp) return left;
+            left = this.infix(left, infix);
+        }
+    }
+
+    // ---------- Operands ----------
+    prefix() {
+        const token = this.peek();
+        if (!token) this.fail('expected an operand, got');
+
+        if (token.type === 'number') {
+            this.next();
+            return { type: 'const', kind: 'number', value: token.value };
+        }
+        if (token.type === 'string') {
+            this.next();
+            return { type: 'const', kind: 'string', value: token.value };
+        }
+        if (token.type === 'param') {
+            this.next();
+            return { type: 'param', value: token.value };
+        }
+        if (token.type === 'op') {
+            this.next();
+            const bp = token.value === '-' || token.value === '+' ? BP.unary : BP.other;
+            const arg = this.expression(bp);
+            if (token.value === '-' && arg.type === 'const' && arg.kind === 'number') return { ...arg, value: `-${arg.value}` };
+            return { type: 'unary', op: token.value, arg };
+        }
+        if (this.isPunct('(')) return this.parenthesized();
+        if (token.type !== 'ident') this.fail('unexpected');
+
+        if (!token.quoted) {
+            switch (token.value) {
+                case 'not':
+                    this.next();
+                    return { type: 'not', arg: this.expression(BP.not) };
+                case 'null':
+                    this.next();
+                    return { type: 'const', kind: 'null' };
+                case 'true':
+                case 'false':
+                    this.next();
+                    return { type: 'const', kind: 'boolean', value: token.value };
+                case 'case':
+                    return this.caseExpression();
+                case 'exists':
+                    this.next();
+                    return { type: 'exists', query: this.subquery() };
+                case 'array':
+                    return this.arrayConstructor();
+                case 'any':
+                case 'some':
+                case 'all':
+                    if (this.isPunct('(', 1)) {
+                        this.next();
+                        return { type: 'quantified', quantifier: token.value === 'all' ? 'all' : 'any', arg: this.parenthesized() };
+                    }
+                    break;
+                case 'cast':
+                    if (this.isPunct('(', 1)) {
+                        this.next();
+                        this.punct('(');
+                        const arg = this.expression(0);
+                        this.keyword('as');
+                        const to = this.typeName();
+                        this.punct(')');
+                        return { type: 'cast', arg, to };
+                    }
+                    break;
+                default:
+                    if (RESERVED.has(token.value)) this.fail('unexpected');
+            }
+        }
+        return this.nameOrCall();
+    }
+
+    // `( expr )`, a row `( a, b )` or a subquery
+    parenthesized() {
+        if (this.isKeyword('select', 1) || this.isKeyword('with', 1) || this.isKeyword('values', 1)) {
+            return { type: 'subquery', query: this.subquery() };
+        }
+        this.punct('(');
+        const items = [this.expression(0)];
+        while (this.isPunct(',')) {
+            this.next();
+            items.push(this.expression(0));
+        }
+        this.punct(')');
+        return items.length === 1 ? items[0] : { type: 'row', items };
+    }
+
+    // A parenthesized subquery, kept as its normalized tokens
+    subquery() {
+        this.punct('(');
+        const parts = [];
+        let depth = 0;
+        while (!(depth === 0 && this.isPunct(')'))) {
+            const token = this.next();
+            if (!token) this.fail('unterminated subquery at');
+            if (token.type === 'punct' && (token.value === '(' || token.value === '[')) depth++;
+            if (token.type === 'punct' && (token.value === ')' || token.value === ']')) depth--;
+            parts.push(token.type === 'string' ? `'${token.value}'` : token.value);
+        }
+        this.punct(')');
+        return parts.join(' ');
+    }
+
+    caseExpression() {
+        this.keyword('case');
+        const node = { type: 'case', arg: null, whens: [], else: null };
+        if (!this.isKeyword('when')) node.arg = this.expression(0);
+        while (this.isKeyword('when')) {
+            this.next();
+            const when = this.expression(0);
+            this.keyword('then');
+            node.whens.push({ when, then: this.expression(0) });
+        }
+        if (this.isKeyword('else')) {
+            this.next();
+            node.else = this.expression(0);
+        }
+        this.keyword('end');
+        return node;
+    }
+
+    arrayConstructor() {
+        this.keyword('array');
+        if (this.isPunct('(')) return { type: 'array', query: this.subquery() };
+        return { type: 'array', items: this.arrayItems() };
+    }
+
+    // `[a, b]`, with nested `[...]` for multi-dimensional arrays
+    arrayItems() {
+        this.punct('[');
+        const items = [];
+        while (!this.isPunct(']')) {
+            items.push(this.isPunct('[') ? { type: 'array', items: this.arrayItems() } : this.expression(0));
+            if (!this.isPunct(',')) break;
+            this.next();
+        }
+        this.punct(']');
+        return items;
+    }
+
+    // A column reference `a.b.c`, a function call `schema.fn(args)` or a
+    // typed literal such as `interval '1 day'`
+    nameOrCall() {
+        const parts = [this.next().value];
+        while (this.isPunct('.') && this.peek(1) && (this.peek(1).type === 'ident' || this.isOp('*', 1))) {
+            this.next();
+            parts.push(this.next().value);
+        }
+
+        if (this.isPunct('(')) {
+            this.next();
+            const node = { type: 'call', name: parts, args: [], distinct: false };
+            if (this.isOp('*')) {
+                this.next();
+                node.args.push({ type: 'star' });
+            } else if (!this.isPunct(')')) {
+                if (this.isKeyword('distinct')) {
+                    this.next();
+                    node.distinct = true;
+                }
+                node.args.push(this.expression(0));
+                while (this.isPunct(',')) {
+                    this.next();
+                    node.args.push(this.expression(0));
+                }
+            }
+            this.punct(')');
+            return node;
+        }
+
+        const token = this.peek();
+        if (parts.length === 1 && token && token.type === 'string') {
+            this.next();
+            return { type: 'cast', arg: { type: 'const', kind: 'string', value: token.value }, to: canonicalType(parts[0]) };
+        }
+        return { type: 'name', parts };
+    }
+
+    // A type name after `::` or `AS`: multi-word names, modifiers and array brackets
+    typeName() {
+        const first = this.peek();
+        if (!first || first.type !== 'ident') this.fail('expected a type name, got');
+        const words = [this.next().value];
+        while (this.isPunct('.') && this.peek(1) && this.peek(1).type === 'ident') {
+            this.next();
+            words[words.length - 1] += `.${this.next().value}`;
+        }
+        const last = () => words[words.length - 1];
+        if (['character', 'char', 'national'].includes(last()) && this.isKeyword('varying')) words.push(this.next().value);
+        if (last() === 'double' && this.isKeyword('precision')) words.push(this.next().value);
+
+        let modifiers = '';
+        if (this.isPunct('(')) {
+            this.next();
+            const values = [];
+            while (!this.isPunct(')')) {
+                const token = this.next();
+                if (!token) this.fail('unterminated type modifier at');
+                if (token.type !== 'punct') values.push(token.value);
+            }
+            this.next();
+            modifiers = `(${values.join(',')})`;
+        }
+        if ((last() === 'timestamp' || last() === 'time') && (this.isKeyword('with') || this.isKeyword('without'))) {
+            const zone = this.next().value;
+            this.keyword('time');
+            this.keyword('zone');
+            words.push(zone, 'time', 'zone');
+        }
+
+        // A quoted name such as "char" is a distinct type, never an alias
+        let name = first.quoted ? words.join(' ') : canonicalType(words.join(' '));
+        // format_type() puts the precision of time types before the zone
+        if (modifiers) name = /^time(stamp)? /.test(name) ? name.replace(' ', `${modifiers} `) : name + modifiers;
+        while (this.isPunct('[')) {
+            this.next();
+            if (this.peek() && this.peek().type === 'number') this.next();
+            this.punct(']');
+            name += '[]';
+        }
+        return name;
+    }
+
+    // ---------- Operators ----------
+    // The binding power and kind of the operator at the current position, if any
+    infixPower() {
+        const token = this.peek();
+        if (!token) return null;
+        if (token.type === 'op') {
+            if (token.value === '::') return { bp: BP.cast, kind: 'cast' };
+            if (COMPARISON.has(token.value)) return { bp: BP.comparison, kind: 'binary' };
+            if (token.value === '+' || token.value === '-') return { bp: BP.additive, kind: 'binary' };
+            if (['*', '/', '%'].includes(token.value)) return { bp: BP.multiplicative, kind: 'binary' };
+            if (token.value === '^') return { bp: BP.exponent, kind: 'binary' };
+            return { bp: BP.other, kind: 'binary' };
+        }
+        if (token.type === 'punct') {
+            if (token.value === '[') return { bp: BP.subscript, kind: 'subscript' };
+            if (token.value === '.') return { bp: BP.cast, kind: 'field' };
+            return null;
+        }
+        if (token.type !== 'ident' || token.quoted) return null;
+        switch (token.value) {
+            case 'or': return { bp: BP.or, kind: 'or' };
+            case 'and': return { bp: BP.and, kind: 'and' };
+            case 'is':
+            case 'isnull':
+            case 'notnull': return { bp: BP.is, kind: 'is' };
+            case 'in':
+            case 'like':
+            case 'ilike':
+            case 'similar':
+            case 'between': return { bp: BP.like, kind: token.value };
+            case 'not': {
+                const after = this.peek(1);
+                const word = after && after.type === 'ident' && !after.quoted ? after.value : null;
+                return ['in', 'like', 'ilike', 'similar', 'between'].includes(word) ? { bp: BP.like, kind: word, negated: true } : null;
+            }
+            case 'at': return this.isKeyword('time', 1) ? { bp: BP.at, kind: 'at' } : null;
+            case 'collate': return { bp: BP.at, kind: 'collate' };
+            default: return null;
+        }
+    }
+
+    infix(left, { bp, kind, negated }) {
+        if (negated) this.keyword('not');
+        switch (kind) {
+            case 'or':
+            case 'and': {
+                this.next();
+                const right = this.expression(bp);
+                return { type: kind, args: [...flatten(kind, left), ...flatten(kind, right)] };
+            }
+            case 'cast':
+                this.next();
+                return { type: 'cast', arg: left, to: this.typeName() };
+            case 'subscript': {
+                this.next();
+                const node = { type: 'subscript', arg: left, lower: null, upper: null, slice: false };
+                if (!this.isPunct(':')) node.lower = this.expression(0);
+                if (this.isPunct(':')) {
+                    this.next();
+                    node.slice = true;
+                    if (!this.isPunct(']')) node.upper = this.expression(0);
+                }
+                this.punct(']');
+                return node;
+            }
+            case 'field': {
+                this.next();
+                const field = this.next();
+                if (!field || (field.type !== 'ident' && field.value !== '*')) this.fail('expected a field name, got');
+                return { type: 'field', arg: left, field: field.value };
+            }
+            case 'is':
+                return this.isTest(left);
+            case 'in':
+                return this.inList(left, negated);
+            case 'between': {
+                this.next();
+                const symmetric = this.isKeyword('symmetric');
+                if (symmetric || this.isKeyword('asymmetric')) this.next();
+                const low = this.expression(BP.like);
+                this.keyword('and');
+                const high = this.expression(BP.like);
+                return { type: 'between', arg: left, low, high, negated: !!negated, symmetric };
+            }
+            case 'similar': {
+                this.next();
+                this.keyword('to');
+                return this.binary(negated ? '!~ similar' : '~ similar', left, bp);
+            }
+            case 'like':
+            case 'ilike': {
+                this.next();
+                return this.binary(OPERATOR_ALIASES[`${negated ? 'not ' : ''}${kind}`], left, bp);
+            }
+            case 'at':
+                this.next();
+                this.keyword('time');
+                this.keyword('zone');
+                return { type: 'call', name: ['timezone'], args: [this.expression(bp), left], distinct: false };
+            case 'collate': {
+                this.next();
+                const collation = this.nameOrCall();
+                return { type: 'collate', arg: left, collation: collation.parts };
+            }
+            default: {
+                const op = this.next().value;
+                return this.binary(OPERATOR_ALIASES[op] || op, left, bp);
+            }
+        }
+    }
+
+    binary(op, left, bp) {
+        const right = this.expression(bp);
+        if (this.isKeyword('escape')) {
+            this.next();
+            return { type: 'op', op, left, right: { type: 'call', name: ['like_escape'], args: [right, this.expression(bp)], distinct: false } };
+        }
+        return { type: 'op', op, left, right };
+    }
+
+    // IS [NOT] NULL / TRUE / FALSE / UNKNOWN / DISTINCT FROM, ISNULL, NOTNULL
+    isTest(left) {
+        const word = this.next().value;
+        if (word === 'isnull') return { type: 'is', arg: left, test: 'null', negated: false };
+        if (word === 'notnull') return { type: 'is', arg: left, test: 'null', negated: true };
+        let negated = false;
+        if (this.isKeyword('not')) {
+            this.next();
+            negated = true;
+        }
+        if (this.isKeyword('distinct')) {
+            this.next();
+            this.keyword('from');
+            return { type: 'distinct', left, right: this.expression(BP.is), negated };
+        }
+        const test = this.next();
+        if (!test || test.type !== 'ident' || !['null', 'true', 'false', 'unknown', 'document'].includes(test.value)) {
+            this.pos--;
+            this.fail('expected NULL, TRUE, FALSE or DISTINCT FROM after IS, got');
+        }
+        return { type: 'is', arg: left, test: test.value, negated };
+    }
+
+    // `x IN (a, b)` is stored as `x = ANY (ARRAY[a, b])`, which is how
+    // Postgres prints it back; `NOT IN` as `<> ALL (...)`
+    inList(left, negated) {
+        this.next();
+        if (this.isKeyword('select', 1) || this.isKeyword('with', 1) || this.isKeyword('values', 1)) {
+            return { type: 'in', arg: left, query: this.subquery(), negated };
+        }
+        this.punct('(');
+        const items = [this.expression(0)];
+        while (this.isPunct(',')) {
+            this.next();
+            items.push(this.expression(0));
+        }
+        this.punct(')');
+        return {
+            type: 'op', op: negated ? '<>' : '=', left,
+            right: { type: 'quantified', quantifier: negated ? 'all' : 'any', arg: { type: 'array', items } },
+        };
+    }
+}
+
+// ---------- Helpers ----------
+function flatten(kind, node) {
+    return node.type === kind ? node.args : [node];
+}
+
+function canonicalType(name) {
+    return TYPE_ALIASES[name] || name;
+}
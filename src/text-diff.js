@@ -0,0 +1,185 @@
+/**
+ * Line-based text diff used to show changed definitions (function bodies,
+ * view queries, ...) side by side, and a word or character based one for
+ * highlighting what changed within a line or a short value.
+ */
+
+// Above this many line pairs the LCS table gets too large to be worth it;
+// such texts are shown as one changed block instead.
+const MAX_CELLS = 4_000_000;
+
+/**
+ * Collapse every run of whitespace so formatting-only edits compare equal.
+ */
+export function normalizeWhitespace(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Diff two texts line by line. Lines are compared with whitespace normalized.
+ * Returns `[{ type: 'same' | 'removed' | 'added', line }]`, where `removed`
+ * lines come from `a` and `added` lines from `b`.
+ */
+export function diffLines(a, b) {
+    const linesA = splitLines(a);
+    const linesB = splitLines(b);
+    const normA = linesA.map(normalizeWhitespace);
+    const normB = linesB.map(normalizeWhitespace);
+    const n = linesA.length;
+    const m = linesB.length;
+
+    if (n * m > MAX_CELLS) {
+        return [
+            ...linesA.map(line => ({ type: 'removed', line })),
+            ...linesB.map(line => ({ type: 'added', line })),
+        ];
+    }
+
+    // lcs[i][j] = length of the LCS of normA[i..] and normB[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = normA[i] === normB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (normA[i] === normB[j]) {
+            ops.push({ type: 'same', line: linesA[i], lineB: linesB[j] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: 'removed', line: linesA[i++] });
+        } else {
+            ops.push({ type: 'added', line: linesB[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: 'removed', line: linesA[i++] });
+    while (j < m) ops.push({ type: 'added', line: linesB[j++] });
+    return ops;
+}
+
+/**
+ * Pair up a line diff into side-by-side rows:
+ * `[{ type: 'same' | 'changed' | 'removed' | 'added', a, b, lineA, lineB }]`
+ * where `a`/`b` are the texts shown on each side (null for a blank cell) and
+ * `lineA`/`lineB` are 1-based line numbers. `changed` rows also carry a
+ * character-level `inline` diff of the two lines (see `diffInline`).
+ */
+export function sideBySide(a, b) {
+    const ops = diffLines(a, b);
+    const rows = [];
+    let lineA = 0, lineB = 0;
+
+    for (let k = 0; k < ops.length;) {
+        if (ops[k].type === 'same') {
+            rows.push({ type: 'same', a: ops[k].line, b: ops[k].lineB, lineA: ++lineA, lineB: ++lineB });
+            k++;
+            continue;
+        }
+        // Collect a block of removals and additions and pair them row by row
+        const removed = [], added = [];
+        while (k < ops.length && ops[k].type !== 'same') {
+            (ops[k].type === 'removed' ? removed : added).push(ops[k].line);
+            k++;
+        }
+        for (let r = 0; r < Math.max(removed.length, added.length); r++) {
+            const hasA = r < removed.length;
+            const hasB = r < added.length;
+            const row = {
+                type: hasA && hasB ? 'changed' : hasA ? 'removed' : 'added',
+                a: hasA ? removed[r] : null,
+                b: hasB ? added[r] : null,
+                lineA: hasA ? ++lineA : null,
+                lineB: hasB ? ++lineB : null,
+            };
+            if (hasA && hasB) row.inline = diffInline(row.a, row.b, 'char');
+            rows.push(row);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Replace long runs of unchanged side-by-side rows with a single
+ * `{ type: 'skip', count }` row, keeping `context` rows around each change.
+ */
+export function collapseUnchanged(rows, context = 2) {
+    const keep = rows.map(r => r.type !== 'same');
+    rows.forEach((r, i) => {
+        if (r.type === 'same') return;
+        for (let k = Math.max(0, i - context); k <= Math.min(rows.length - 1, i + context); k++) keep[k] = true;
+    });
+    const out = [];
+    for (let i = 0; i < rows.length;) {
+        if (keep[i]) { out.push(rows[i++]); continue; }
+        let count = 0;
+        while (i < rows.length && !keep[i]) { count++; i++; }
+        out.push({ type: 'skip', count });
+    }
+    return out;
+}
+
+/**
+ * Diff two short texts (an expression, a definition, one line) for inline
+ * highlighting, by `unit` `word` or `char`. Returns
+ * `[{ type: 'same' | 'removed' | 'added', text }]`; concatenating the `same`
+ * and `removed` parts gives `a`, the `same` and `added` parts give `b`.
+ */
+export function diffInline(a, b, unit = 'word') {
+    const split = unit === 'char' ? splitChars : splitWords;
+    const tokensA = split(a);
+    const tokensB = split(b);
+    const n = tokensA.length;
+    const m = tokensB.length;
+
+    if (n * m > MAX_CELLS) {
+        return [{ type: 'removed', text: tokensA.join('') }, { type: 'added', text: tokensB.join('') }].filter(p => p.text);
+    }
+
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = tokensA[i] === tokensB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (tokensA[i] === tokensB[j]) {
+            push('same', tokensA[i]);
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', tokensA[i++]);
+        } else {
+            push('added', tokensB[j++]);
+        }
+    }
+    while (i < n) push('removed', tokensA[i++]);
+    while (j < m) push('added', tokensB[j++]);
+    return parts;
+}
+
+// Words, runs of whitespace and single punctuation characters
+function splitWords(text) {
+    if (text === null || text === undefined) return [];
+    return String(text).match(/\s+|\w+|[^\w\s]/g) || [];
+}
+
+function splitChars(text) {
+    if (text === null || text === undefined) return [];
+    return [...String(text)];
+}
+
+function splitLines(text) {
+    if (text === null || text === undefined || text === '') return [];
+    return String(text).replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
@@ -0,0 +1,323 @@
+import { loadSchema } from './snapshot.js';
+import { diffSchemas } from './diff.js';
+import { computeStats } from './report-terminal.js';
+import { saveRun, listRuns, loadRun, previousRun, driftSince } from './history.js';
+import { parseSchedule, scheduleMatches } from './schedule.js';
+
+/**
+ * Scheduled drift monitoring. The config file's `watch` section lists pairs
+ * of saved environments to compare on a schedule (see schedule.js), and
+ * `webhooks` where to report when their drift changes:
+ *
+ *   "watch": [
+ *     { "a": "prod", "b": "staging", "schedule": "0 * * * *" },
+ *     { "name": "nightly", "a": "prod", "b": "baseline", "schedule": "@daily", "webhooks": ["ops"] }
+ *   ],
+ *   "webhooks": {
+ *     "slack": { "url": "${SLACK_WEBHOOK_URL}", "format": "slack" },
+ *     "ops": { "url": "https://ops.example.com/hooks/drift", "headers": { "Authorization": "Bearer ${OPS_TOKEN}" } }
+ *   }
+ *
+ * Every run is stored in the history (see history.js). When its differences
+ * are not the same as those of the pair's previous run, the watch's webhooks
+ * (all of them by default) get a summary: a Slack-compatible `{ text }`
+ * message with format "slack", or the JSON of `webhookPayload` with format
+ * "json" (the default). With PUBLIC_URL set to the web server's address,
+ * both link to the stored run.
+ */
+
+const WATCH_FIELDS = ['name', 'a', 'b', 'schedule', 'webhooks'];
+const WEBHOOK_FIELDS = ['url', 'format', 'headers'];
+const WEBHOOK_FORMATS = ['json', 'slack'];
+// Differences listed in a notification; the counts always cover all of them
+const MAX_NOTIFIED_ITEMS = 100;
+const MAX_SLACK_ITEMS = 10;
+
+/**
+ * Parse the config file's `watch` and `webhooks` sections. Returns
+ * `{ watches, webhooks }`: watches as `[{ name, a, b, schedule, webhooks }]`
+ * with the parsed schedule and the names of the webhooks to notify, and
+ * webhooks as `[{ name, url, format, headers, unavailable }]`. As with
+ * environments, `${VAR}` in a url or header is replaced by the env var; a
+ * webhook whose env vars are not set has `url: null` and the reason in
+ * `unavailable`.
+ */
+export function parseWatchConfig({ watch = [], webhooks = {} }, source, env = process.env) {
+    if (!webhooks || typeof webhooks !== 'object' || Array.isArray(webhooks)) {
+        throw new Error(`${source}: "webhooks" maps names to { "url": ..., "format": "slack" | "json" }`);
+    }
+    const hooks = Object.entries(webhooks).map(([name, spec]) => parseWebhook(name, spec, source, env));
+    if (!Array.isArray(watch)) throw new Error(`${source}: "watch" is a list of { "a": ..., "b": ..., "schedule": ... }`);
+
+    const names = new Set();
+    const watches = watch.map((spec, i) => {
+        const where = `${source}: watch ${i + 1}`;
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${where}: expected an object`);
+        for (const field of Object.keys(spec)) {
+            if (!WATCH_FIELDS.includes(field)) throw new Error(`${where}: unknown field "${field}"; expected ${WATCH_FIELDS.join(', ')}`);
+        }
+        for (const field of ['a', 'b', 'schedule']) {
+            if (typeof spec[field] !== 'string' || !spec[field]) throw new Error(`${where}: "${field}" is required`);
+        }
+        const name = spec.name === undefined ? `${spec.a}-${spec.b}` : spec.name;
+        if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) throw new Error(`${where}: names may only contain letters, digits, "_" and "-"`);
+        if (names.has(name)) throw new Error(`${where}: there is already a watch called "${name}"; give this one a "name"`);
+        names.add(name);
+
+        let schedule;
+        try {
+            schedule = parseSchedule(spec.schedule);
+        } catch (err) {
+            throw new Error(`${where}: ${err.message}`);
+        }
+        const notify = spec.webhooks === undefined ? hooks.map(h => h.name) : spec.webhooks;
+        if (!Array.isArray(notify) || !notify.every(n => typeof n === 'string')) throw new Error(`${where}: "webhooks" is a list of webhook names`);
+        const unknown = notify.find(n => !hooks.some(h => h.name === n));
+        if (unknown) throw new Error(`${where}: unknown webhook "${unknown}"${hooks.length ? `; webhooks: ${hooks.map(h => h.name).join(', ')}` : ''}`);
+        return { name, a: spec.a, b: spec.b, schedule, webhooks: notify };
+    });
+    return { watches, webhooks: hooks };
+}
+
+function parseWebhook(name, spec, source, env) {
+    const where = `${source}: webhook "${name}"`;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${where}: expected an object`);
+    for (const field of Object.keys(spec)) {
+        if (!WEBHOOK_FIELDS.includes(field)) throw new Error(`${where}: unknown field "${field}"; expected ${WEBHOOK_FIELDS.join(', ')}`);
+    }
+    if (typeof spec.url !== 'string' || !spec.url) throw new Error(`${where}: "url" is required`);
+    const format = spec.format === undefined ? 'json' : spec.format;
+    if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`${where}: "format" is ${WEBHOOK_FORMATS.map(f => `"${f}"`).join(' or ')}, got ${JSON.stringify(format)}`);
+    const headers = spec.headers === undefined ? {} : spec.headers;
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(v => typeof v === 'string')) {
+        throw new Error(`${where}: "headers" maps header names to strings`);
+    }
+
+    const webhook = { name, url: null, format, headers: {}, unavailable: null };
+    const texts = [spec.url, ...Object.values(headers)];
+    const missing = [...new Set(texts.flatMap(text => [...text.matchAll(/\$\{(\w+)\}/g)].map(m => m[1])))].filter(variable => env[variable] === undefined);
+    if (missing.length) {
+        webhook.unavailable = `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} not set`;
+        return webhook;
+    }
+    const expand = text => text.replace(/\$\{(\w+)\}/g, (_, variable) => env[variable]);
+    let url;
+    try {
+        url = new URL(expand(spec.url));
+    } catch {
+        throw new Error(`${where}: "url" is not a valid URL`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`${where}: "url" must be an http(s) URL`);
+    webhook.url = url.toString();
+    webhook.headers = Object.fromEntries(Object.entries(headers).map(([header, value]) => [header, expand(value)]));
+    return webhook;
+}
+
+/**
+ * Compare a watch's environments, store the run in `options.historyDir` and
+ * notify its webhooks when the differences changed since the pair's
+ * previous run (the first run of a pair only sets the baseline).
+ *
+ * `environments` are the saved environments (see `savedEnvironments`);
+ * options are `{ historyDir, webhooks, publicUrl, diffOptions,
+ * extractOptions(environment) }`. Returns `{ run, previous, since, changed,
+ * notified }`, where `notified` lists `{ name, error }` per webhook (error
+ * null when it was delivered).
+ */
+export async function runWatch(watch, environments, { historyDir, webhooks = [], publicUrl = null, diffOptions = {}, extractOptions }) {
+    const [envA, envB] = [watch.a, watch.b].map(name => {
+        const environment = environments.find(e => e.name === name);
+        if (!environment) throw new Error(`No saved environment "${name}"${environments.length ? ` (saved environments: ${environments.map(e => e.name).join(', ')})` : ''}`);
+        if (environment.unavailable) throw new Error(`Environment "${name}" is not available: ${environment.unavailable}`);
+        return environment;
+    });
+
+    const [extractOptionsA, extractOptionsB] = [envA, envB].map(extractOptions);
+    const [schemaA, schemaB] = await Promise.all([
+        loadSchema(envA.source, envA.label, extractOptionsA),
+        loadSchema(envB.source, envB.label, extractOptionsB),
+    ]);
+    const diff = diffSchemas(schemaA, schemaB, envA.label, envB.label, diffOptions);
+    const stats = computeStats(diff);
+
+    const run = saveRun(historyDir, {
+        user: `watch:${watch.name}`, labelA: envA.label, labelB: envB.label, targetA: envA.name, targetB: envB.name,
+        extractOptionsA, extractOptionsB, stats, diff,
+    });
+    const previous = previousRun(listRuns(historyDir), run);
+    const previousRecord = previous && loadRun(historyDir, previous.id);
+    const since = previousRecord ? driftSince(previousRecord.diff, diff) : null;
+    const changed = !!since && since.appeared.length + since.resolved.length + since.changed.length > 0;
+
+    const notified = [];
+    if (changed) {
+        const payload = webhookPayload(watch, run, previous, stats, since, publicUrl);
+        for (const webhook of webhooks.filter(w => watch.webhooks.includes(w.name))) {
+            try {
+                if (webhook.unavailable) throw new Error(`not configured: ${webhook.unavailable}`);
+                await sendWebhook(webhook, payload);
+                notified.push({ name: webhook.name, error: null });
+            } catch (err) {
+                notified.push({ name: webhook.name, error: err.message });
+            }
+        }
+    }
+    return { run, previous, since, changed, notified };
+}
+
+/**
+ * One line on the outcome of `runWatch`, for logs.
+ */
+export function describeWatchResult({ run, since, changed, notified }) {
+    const total = Object.values(run.drift).reduce((sum, n) => sum + n, 0);
+    const now = `${total} difference${total !== 1 ? 's' : ''} (${run.breaking} breaking)`;
+    if (!since) return `${now}; first run of ${run.a} and ${run.b}, stored as the baseline`;
+    if (!changed) return `${now}; unchanged since the last run`;
+    const sent = notified.length
+        ? `; notified ${notified.map(n => (n.error ? `${n.name} (failed: ${n.error})` : n.name)).join(', ')}`
+        : '; no webhooks to notify';
+    return `${now}; ${since.appeared.length} new, ${since.resolved.length} resolved, ${since.changed.length} changed since the last run${sent}`;
+}
+
+// How long a scheduled run may take before it is reported as timed out
+const WATCH_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Run the watches on their schedules until the returned function is called.
+ * `load()` is called every minute, so config edits apply without a restart,
+ * and returns `{ watches, environments, ...options }` with the options of
+ * `runWatch`. `report(watch, result, error)` is called after every run (and
+ * with a null watch when `load` fails). Watches due in the same minute run
+ * side by side, so a slow database only holds up its own watches; a run
+ * taking longer than `timeoutMs` (default 15 minutes) is reported as failed.
+ * A watch still running when it is due again is skipped.
+ */
+export function startWatching(load, report, { timeoutMs = WATCH_TIMEOUT_MS } = {}) {
+    const running = new Set();
+    let timer = null;
+
+    const tick = async () => {
+        const minute = new Date(Math.floor(Date.now() / 60000) * 60000);
+        timer = setTimeout(tick, untilNextMinute());
+        let setup;
+        try {
+            setup = load();
+        } catch (err) {
+            return report(null, null, err);
+        }
+        const { watches, environments, ...options } = setup;
+        await Promise.allSettled(watches.filter(w => scheduleMatches(w.schedule, minute)).map(async watch => {
+            if (running.has(watch.name)) {
+                report(watch, null, new Error('Skipped: the previous run is still going'));
+                return;
+            }
+            // A run that timed out still counts as running until it ends, so
+            // a hanging database does not pile up connections
+            running.add(watch.name);
+            const run = runWatch(watch, environments, options).finally(() => running.delete(watch.name));
+            let timeout;
+            const timedOut = new Promise((_, reject) => {
+                timeout = setTimeout(() => reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)} seconds`)), timeoutMs);
+            });
+            try {
+                report(watch, await Promise.race([run, timedOut]), null);
+            } catch (err) {
+                report(watch, null, err);
+            } finally {
+                clearTimeout(timeout);
+            }
+        }));
+    };
+
+    timer = setTimeout(tick, untilNextMinute());
+    return () => clearTimeout(timer);
+}
+
+// A little past the next minute boundary, so the tick lands inside that minute
+function untilNextMinute() {
+    return 60000 - (Date.now() % 60000) + 100;
+}
+
+// ---------- Notifications ----------
+
+/**
+ * The JSON posted to "json" webhooks:
+ *
+ *   {
+ *     event: 'drift_changed', watch,
+ *     a: { name, label }, b: { name, label },
+ *     run: { id, timestamp, url }, previous: { id, timestamp, url },
+ *     stats: { differences, breaking, risky, cosmetic, ignored, drift: { <category>: n } },
+ *     changes: { appeared, resolved, changed },
+ *     items: [{ change, category, side, key, severity, reason }], itemsOmitted
+ *   }
+ *
+ * `changes` counts the differences that are new, gone or different since the
+ * previous run; `items` lists them (up to 100, breaking first).
+ */
+export function webhookPayload(watch, run, previous, stats, since, publicUrl) {
+    const link = r => (publicUrl ? `${publicUrl.replace(/\/$/, '')}/#history/${r.id}` : null);
+    const rank = { breaking: 0, risky: 1, cosmetic: 2 };
+    const items = [
+        ...since.appeared.map(item => ({ change: 'appeared', ...item })),
+        ...since.changed.map(item => ({ change: 'changed', ...item })),
+        ...since.resolved.map(item => ({ change: 'resolved', ...item })),
+    ].sort((x, y) => (rank[x.severity] ?? 3) - (rank[y.severity] ?? 3));
+    return {
+        event: 'drift_changed',
+        watch: watch.name,
+        a: { name: run.targetA, label: run.labelA },
+        b: { name: run.targetB, label: run.labelB },
+        run: { id: run.id, timestamp: run.timestamp, url: link(run) },
+        previous: { id: previous.id, timestamp: previous.timestamp, url: link(previous) },
+        stats: {
+            differences: Object.values(run.drift).reduce((sum, n) => sum + n, 0),
+            breaking: stats.breaking, risky: stats.risky, cosmetic: stats.cosmetic, ignored: stats.ignored,
+            drift: run.drift,
+        },
+        changes: { appeared: since.appeared.length, resolved: since.resolved.length, changed: since.changed.length },
+        items: items.slice(0, MAX_NOTIFIED_ITEMS),
+        itemsOmitted: Math.max(0, items.length - MAX_NOTIFIED_ITEMS),
+    };
+}
+
+// A Slack incoming-webhook message (also understood by Mattermost and
+// Rocket.Chat) summarizing the payload
+function slackMessage(payload) {
+    const { a, b, stats, changes, items, itemsOmitted, run, previous } = payload;
+    const side = { onlyInA: `only in ${a.label}`, onlyInB: `only in ${b.label}`, changed: 'changed' };
+    const change = { appeared: 'New', changed: 'Changed', resolved: 'Resolved' };
+    const lines = [
+        `*Schema drift changed: ${slackEscape(a.label)} vs ${slackEscape(b.label)}*`,
+        `${changes.appeared} new, ${changes.resolved} resolved, ${changes.changed} changed since ${previous.timestamp.slice(0, 16).replace('T', ' ')} UTC. ` +
+            `Now ${stats.differences} differences: ${stats.breaking} breaking, ${stats.risky} risky, ${stats.cosmetic} cosmetic.`,
+        ...items.slice(0, MAX_SLACK_ITEMS).map(item =>
+            `• ${change[item.change]} ${item.severity}: ${item.category} \`${slackEscape(item.key)}\` (${slackEscape(side[item.side])})`),
+    ];
+    const more = items.length + itemsOmitted - Math.min(items.length, MAX_SLACK_ITEMS);
+    if (more > 0) lines.push(`…and ${more} more`);
+    if (run.url) lines.push(`<${run.url}|View the report>`);
+    return { text: lines.join('\n') };
+}
+
+function slackEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// POST the payload; errors name the webhook's host only, since webhook
+// URLs often embed their secret
+async function sendWebhook(webhook, payload) {
+    const host = new URL(webhook.url).host;
+    let res;
+    try {
+        res = await fetch(webhook.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'schema-compare', ...webhook.headers },
+            body: JSON.stringify(webhook.format === 'slack' ? slackMessage(payload) : payload),
+            signal: AbortSignal.timeout(10000),
+        });
+    } catch (err) {
+        throw new Error(`cannot reach ${host}: ${err.cause ? err.cause.message : err.message}`);
+    }
+    if (!res.ok) throw new Error(`${host} answered ${res.status}`);
+}